@@ -0,0 +1,102 @@
+// Server side of the custom settings page. Config UI X runs this in its own
+// process: keypad state comes from the running plugin's HTTP API (httpApi in
+// the config), accessory names from the bridge's HAP server like accessory
+// actions use (insecure mode).
+
+const { HomebridgePluginUiServer, RequestError } = require('@homebridge/plugin-ui-utils');
+const ApiClient = require('../lib/api-client');
+const HapClient = require('../lib/hap-client');
+const ModePalette = require('../lib/palette');
+const ModelProfile = require('../lib/model-profile');
+const { accessoryName, STEP_ACTIONS } = require('../lib/accessory-control');
+const { migrateConfig } = require('../lib/migrations');
+const { deviceConfigs, deviceId } = require('../lib/device-configs');
+
+class IPortUiServer extends HomebridgePluginUiServer {
+  constructor() {
+    super();
+    this.api = null; // ApiClient while the monitor runs
+
+    this.onRequest('/migrate', config => migrateConfig(config || {}));
+    this.onRequest('/devices', config => this.describeDevices(config || {}));
+    this.onRequest('/monitor/start', config => this.startMonitor(config || {}));
+    this.onRequest('/monitor/stop', () => this.stopMonitor());
+    this.onRequest('/accessories', config => this.listAccessories(config || {}));
+    this.onRequest('/mappings/add', body => this.addMapping(body || {}));
+
+    this.ready();
+  }
+
+  // the keypads a platform config describes, as the plugin will set them up:
+  // id (as used by the HTTP API), name, where their mappings live, modes and button count
+  describeDevices(config) {
+    return deviceConfigs(config).configs.map(({ config: device, index }) => {
+      const model = ModelProfile.fromConfig(device);
+      const modeButton = typeof device.modeButton === 'number' ? device.modeButton : model.modeButton;
+      return {
+        id: deviceId(device.name),
+        name: device.name,
+        deviceIndex: index,
+        buttons: model.buttons,
+        modeButton: modeButton > model.buttons ? 0 : modeButton,
+        modes: ModePalette.fromConfig(device).names()
+      };
+    });
+  }
+
+  // the config with a learned mapping added where the keypad keeps its mappings:
+  // at the top level for a single keypad (deviceIndex null), per device otherwise
+  addMapping({ config, deviceIndex, mapping }) {
+    if (!config || !mapping) throw new RequestError('Nothing to add', { reason: 'invalid' });
+    // a hold repeats its action while the button is down, only a step makes sense
+    if (mapping.pressType === 'hold' && !STEP_ACTIONS.includes(mapping.action)) {
+      throw new RequestError(`A hold needs a step action (${STEP_ACTIONS.join(', ')}), not "${mapping.action}"`, { reason: 'holdAction' });
+    }
+    const owner = deviceIndex === null ? config : (config.devices || [])[deviceIndex];
+    if (!owner) throw new RequestError(`No device ${deviceIndex + 1} in the config`, { reason: 'invalid' });
+    owner.buttonMappings = (owner.buttonMappings || []).concat(mapping);
+    return config;
+  }
+
+  // current state of every keypad, then their events pushed as 'keypad' ({ event, data })
+  async startMonitor(config) {
+    const settings = config.httpApi || {};
+    if (typeof settings.port !== 'number' || settings.port === 0) {
+      throw new RequestError('Set a fixed HTTP API port (and save) to see the keypads live', { reason: 'noHttpApi' });
+    }
+    this.stopMonitor();
+    const api = new ApiClient(settings);
+    try {
+      const devices = await api.get('/api/devices');
+      await api.subscribe(
+        (event, data) => this.pushEvent('keypad', { event, data }),
+        () => this.pushEvent('keypad', { event: 'closed', data: {} })
+      );
+      this.api = api;
+      return devices;
+    } catch (e) {
+      api.unsubscribe();
+      throw new RequestError(`Cannot reach the plugin: ${e.message}`, { reason: 'unreachable' });
+    }
+  }
+
+  stopMonitor() {
+    if (this.api) this.api.unsubscribe();
+    this.api = null;
+    return { stopped: true };
+  }
+
+  // names of every accessory on the bridge (and child bridges), sorted
+  async listAccessories(config) {
+    const hapClient = HapClient.fromConfigFile(this.homebridgeConfigPath, null, config.hap || {});
+    try {
+      const accessories = await hapClient.getAccessories(true);
+      const names = accessories.map(accessoryName).filter(Boolean);
+      return Array.from(new Set(names)).sort((a, b) => a.localeCompare(b));
+    } catch (e) {
+      throw new RequestError(`Cannot list accessories: ${e.message}`, { reason: 'hap' });
+    }
+  }
+}
+
+(() => new IPortUiServer())();
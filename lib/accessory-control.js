@@ -0,0 +1,166 @@
+// Turns an accessory mapping (targetName, optional serviceType and
+// characteristic, action and value) into one characteristic write, using the
+// accessory list Homebridge publishes over HAP (see hap-client.js).
+//
+// Characteristics and services are named like HAP-NodeJS does ("On",
+// "RotationSpeed", "LockTargetState", "Fanv2", ...). Without a serviceType the
+// first service carrying the characteristic is used; without a characteristic
+// it is On (or Brightness for the brightness verbs).
+
+const APPLE_SUFFIX = '-0000-1000-8000-0026BB765291';
+const INFO_SERVICE = '3E';
+const NAME = '23';
+const CONFIGURED_NAME = 'E3';
+
+const STEP_ACTIONS = ['brightnessUp', 'brightnessDown', 'increment', 'decrement'];
+
+// HAP JSON uses short ids for Apple-defined types ("25" for On)
+function shortType(uuid) {
+  const upper = String(uuid || '').toUpperCase();
+  if (!upper.endsWith(APPLE_SUFFIX)) return upper;
+  return upper.slice(0, 8).replace(/^0+(?=.)/, '');
+}
+
+// short type id -> HAP-NodeJS name, for lookups and readable errors
+function typeNames(hap) {
+  const build = (types) => {
+    const byName = new Map();
+    const byType = new Map();
+    Object.keys(types || {}).forEach((name) => {
+      const type = types[name];
+      if (!type || typeof type.UUID !== 'string') return;
+      byName.set(name.toLowerCase(), { name, type: shortType(type.UUID) });
+      if (!byType.has(shortType(type.UUID))) byType.set(shortType(type.UUID), name);
+    });
+    return { byName, byType };
+  };
+  return { services: build(hap.Service), characteristics: build(hap.Characteristic) };
+}
+
+function findChar(service, type) {
+  return (service.characteristics || []).find(c => shortType(c.type) === type);
+}
+
+function accessoryName(accessory) {
+  const info = (accessory.services || []).find(s => shortType(s.type) === INFO_SERVICE);
+  const name = info && (findChar(info, CONFIGURED_NAME) || findChar(info, NAME));
+  return name ? String(name.value) : '';
+}
+
+// "Lightbulb (On, Brightness), Switch (On)"
+function describeAccessory(accessory, names) {
+  return (accessory.services || [])
+    .filter(s => shortType(s.type) !== INFO_SERVICE)
+    .map((service) => {
+      const serviceName = names.services.byType.get(shortType(service.type)) || service.type;
+      const chars = (service.characteristics || [])
+        .filter(c => (c.perms || []).includes('pw'))
+        .map(c => names.characteristics.byType.get(shortType(c.type)) || c.type);
+      return `${serviceName} (${chars.join(', ') || 'read-only'})`;
+    })
+    .join(', ');
+}
+
+function defaultCharacteristic(spec) {
+  if (spec.characteristic) return spec.characteristic;
+  return spec.action === 'brightnessUp' || spec.action === 'brightnessDown' ? 'Brightness' : 'On';
+}
+
+// -> { accessory, service, characteristic, label }; throws with what the accessory offers instead
+function findTarget(accessories, spec, hap) {
+  const names = typeNames(hap);
+  const wanted = String(spec.targetName || '').trim().toLowerCase();
+  const matches = accessories.filter(acc => accessoryName(acc).toLowerCase() === wanted);
+  if (matches.length === 0) throw new Error(`no accessory named "${spec.targetName}"`);
+
+  const charName = defaultCharacteristic(spec);
+  const charType = names.characteristics.byName.get(charName.toLowerCase());
+  if (!charType) throw new Error(`unknown characteristic "${charName}"`);
+  let serviceType = null;
+  if (spec.serviceType) {
+    const known = names.services.byName.get(String(spec.serviceType).toLowerCase());
+    if (!known) throw new Error(`unknown service type "${spec.serviceType}"`);
+    serviceType = known.type;
+  }
+
+  for (const accessory of matches) {
+    const service = (accessory.services || []).find(s => shortType(s.type) !== INFO_SERVICE &&
+      (!serviceType || shortType(s.type) === serviceType) && findChar(s, charType.type));
+    if (!service) continue;
+    const characteristic = findChar(service, charType.type);
+    if (!(characteristic.perms || []).includes('pw')) {
+      throw new Error(`${charType.name} on "${spec.targetName}" is read-only`);
+    }
+    const serviceName = names.services.byType.get(shortType(service.type)) || service.type;
+    return { accessory, service, characteristic, label: `${spec.targetName} ${serviceName}.${charType.name}` };
+  }
+
+  const where = spec.serviceType ? `${spec.serviceType} service with ${charType.name}` : `${charType.name} characteristic`;
+  throw new Error(`"${spec.targetName}" has no ${where}; it exposes ${describeAccessory(matches[0], names) || 'nothing controllable'}`);
+}
+
+function isBool(characteristic) {
+  return characteristic.format === 'bool';
+}
+
+// coerce a configured value to the characteristic's format
+function coerce(characteristic, value) {
+  if (isBool(characteristic)) {
+    if (typeof value === 'string') return !['false', '0', 'off', ''].includes(value.trim().toLowerCase());
+    return Boolean(value);
+  }
+  if (characteristic.format === 'string' || characteristic.format === 'data' || characteristic.format === 'tlv8') {
+    return String(value);
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`"${value}" is not a number`);
+  return characteristic.format === 'float' ? number : Math.round(number);
+}
+
+function limits(characteristic) {
+  return {
+    min: typeof characteristic.minValue === 'number' ? characteristic.minValue : -Infinity,
+    max: typeof characteristic.maxValue === 'number' ? characteristic.maxValue : Infinity
+  };
+}
+
+// value to write for `action`, given the characteristic's current value;
+// undefined when there is nothing to change (e.g. already at the limit)
+function computeValue(characteristic, current, action) {
+  switch (action.action) {
+    case 'on':
+      return coerce(characteristic, true);
+    case 'off':
+      return coerce(characteristic, false);
+    case 'toggle':
+      return coerce(characteristic, !(current === true || Number(current) > 0));
+    case 'set':
+      if (action.value === undefined || action.value === '') throw new Error('"set" needs a value');
+      return coerce(characteristic, action.value);
+    case 'cycle': {
+      const values = Array.isArray(action.values) && action.values.length > 0
+        ? action.values.map(v => coerce(characteristic, v))
+        : characteristic['valid-values'];
+      if (!Array.isArray(values) || values.length === 0) throw new Error('"cycle" needs a list of values');
+      const index = values.findIndex(v => v === coerce(characteristic, current));
+      return values[(index + 1) % values.length];
+    }
+    case 'brightnessUp':
+    case 'brightnessDown':
+    case 'increment':
+    case 'decrement': {
+      if (isBool(characteristic)) throw new Error(`cannot ${action.action} an on/off characteristic`);
+      const brightness = action.action.startsWith('brightness');
+      const up = action.action === 'brightnessUp' || action.action === 'increment';
+      const step = Math.abs(Number(action.step)) || (brightness ? 10 : characteristic.minStep || 1);
+      const { min, max } = limits(characteristic);
+      const from = Number(current) || 0;
+      const value = coerce(characteristic, Math.min(max, Math.max(min, from + (up ? step : -step))));
+      return value === from ? undefined : value;
+    }
+    default:
+      throw new Error(`unknown action "${action.action}"`);
+  }
+}
+
+module.exports = { findTarget, computeValue, accessoryName, describeAccessory, shortType, STEP_ACTIONS };
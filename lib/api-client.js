@@ -0,0 +1,137 @@
+// Client for the plugin's own HTTP API (see http-api.js). The custom settings
+// page runs in Config UI X's process, not in Homebridge's, so this is how it
+// reaches the running keypads: requests for state, and the event stream for
+// live presses and LED changes.
+
+const http = require('http');
+
+const REQUEST_TIMEOUT = 5000;
+
+class ApiClient {
+  // config: the platform's httpApi block { port, host, token }
+  constructor(config = {}) {
+    this.port = config.port;
+    // a wildcard listen address is reached locally
+    this.host = !config.host || config.host === '0.0.0.0' || config.host === '::' ? '127.0.0.1' : config.host;
+    this.token = config.token || '';
+    this.stream = null;
+  }
+
+  get(path) {
+    return this.request('GET', path);
+  }
+
+  post(path, body) {
+    return this.request('POST', path, body);
+  }
+
+  request(method, path, body) {
+    return new Promise((resolve, reject) => {
+      const payload = body === undefined ? null : JSON.stringify(body);
+      const req = http.request({ host: this.host, port: this.port, method, path, headers: this.headers(payload) }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          let json = null;
+          try {
+            json = data ? JSON.parse(data) : null;
+          } catch (e) {
+            return reject(new Error('invalid response from the HTTP API'));
+          }
+          if (res.statusCode >= 400) return reject(this.statusError(res.statusCode, json));
+          return resolve(json);
+        });
+      });
+      req.setTimeout(REQUEST_TIMEOUT, () => req.destroy(new Error('timed out')));
+      req.on('error', err => reject(this.connectError(err)));
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  // follow /api/events, calling onEvent(name, data) per event and onEnd(error)
+  // once the stream closes; resolves when the stream is open
+  subscribe(onEvent, onEnd = () => {}) {
+    this.unsubscribe();
+    return new Promise((resolve, reject) => {
+      // onEnd only for streams that end by themselves, not through unsubscribe()
+      const finish = (err) => {
+        if (this.stream !== req) return;
+        this.stream = null;
+        onEnd(err);
+      };
+      const req = http.get({ host: this.host, port: this.port, path: '/api/events', headers: this.headers() }, (res) => {
+        if (res.statusCode !== 200) {
+          if (this.stream === req) this.stream = null;
+          res.resume();
+          reject(this.statusError(res.statusCode));
+          return;
+        }
+        resolve();
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.forEach((block) => {
+            const event = parseEvent(block);
+            if (event) onEvent(event.name, event.data);
+          });
+        });
+        res.on('error', err => finish(err));
+        res.on('close', () => finish(null));
+      });
+      req.on('error', (err) => {
+        reject(this.connectError(err));
+        finish(err);
+      });
+      this.stream = req;
+    });
+  }
+
+  unsubscribe() {
+    if (!this.stream) return;
+    const stream = this.stream;
+    this.stream = null;
+    stream.destroy();
+  }
+
+  headers(payload) {
+    const headers = {};
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    return headers;
+  }
+
+  statusError(status, body) {
+    if (status === 401) return new Error('the HTTP API rejected the token');
+    return new Error((body && body.error) || `HTTP ${status}`);
+  }
+
+  connectError(err) {
+    if (err.code === 'ECONNREFUSED') return new Error(`nothing is listening on ${this.host}:${this.port}; is Homebridge running with the HTTP API enabled?`);
+    return err;
+  }
+}
+
+// one server-sent event block -> { name, data }; null for comments and keep-alives
+function parseEvent(block) {
+  let name = 'message';
+  const data = [];
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) name = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  });
+  if (data.length === 0) return null;
+  try {
+    return { name, data: JSON.parse(data.join('\n')) };
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = ApiClient;
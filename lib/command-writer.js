@@ -0,0 +1,82 @@
+// Serialized, paced writes to the keypad.
+//
+// Commands go out one at a time with at least `minInterval` ms between them.
+// A command sent with a `key` replaces a queued command with the same key
+// instead of queueing behind it, so dragging a Home app slider collapses into
+// the latest LED value. While disconnected, commands sent with `buffer: true`
+// are held (still coalesced) and flushed on reconnect; anything else is
+// rejected and send() returns false.
+
+const DEFAULT_MIN_INTERVAL = 50;
+const DEFAULT_MAX_QUEUE = 20;
+
+class CommandWriter {
+  // write(raw) puts one command on the wire and returns whether it could
+  constructor(write, options = {}) {
+    this.write = write;
+    this.minInterval = typeof options.minInterval === 'number' ? options.minInterval : DEFAULT_MIN_INTERVAL;
+    this.maxQueue = options.maxQueue || DEFAULT_MAX_QUEUE;
+    this.queue = []; // { raw, key, buffer }
+    this.connected = false;
+    this.lastWrite = 0;
+    this.timer = null;
+  }
+
+  // returns true when the command was written or queued
+  send(raw, { key = null, buffer = false } = {}) {
+    if (!this.connected && !buffer) return false;
+    const queued = key ? this.queue.find(command => command.key === key) : null;
+    if (queued) {
+      queued.raw = raw;
+      queued.buffer = queued.buffer || buffer;
+    } else {
+      if (this.queue.length >= this.maxQueue) return false;
+      this.queue.push({ raw, key, buffer });
+    }
+    this.drain();
+    return true;
+  }
+
+  setConnected(connected) {
+    this.connected = connected;
+    if (connected) {
+      this.drain();
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.queue = this.queue.filter(command => command.buffer);
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.queue = [];
+  }
+
+  drain() {
+    if (this.timer || !this.connected || this.queue.length === 0) return;
+    const wait = this.lastWrite + this.minInterval - Date.now();
+    if (wait > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+      return;
+    }
+    const command = this.queue.shift();
+    this.lastWrite = Date.now();
+    try {
+      this.write(command.raw);
+    } catch (e) {
+      // the socket reports the failure through its own error/close events
+    }
+    this.drain();
+  }
+}
+
+module.exports = CommandWriter;
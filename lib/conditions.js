@@ -0,0 +1,96 @@
+// Optional `conditions` on a mapping, limiting when it applies:
+//
+//   after / before  "HH:MM", "sunrise" or "sunset", the sun ones with an optional
+//                   minute offset ("sunset-30"). A window whose start is later
+//                   than its end runs over midnight ("after sunset, before 06:00").
+//   days            ["mon", "tue", ...], checked against the current day
+//   targetState     "on" / "off": the target (or stateTargetName) must currently
+//                   be on / off; read over HAP when the press happens (see device.js)
+//
+// Times use the Homebridge host's clock and time zone; sun times need the
+// platform's latitude and longitude.
+
+const { sunTimes } = require('./sun');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "22:30" -> { minutes: 1350 }; "sunset+15" -> { sun: 'sunset', offset: 15 }; null if unreadable
+function parseTime(value) {
+  const s = String(value).trim().toLowerCase();
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(s);
+  if (clock) {
+    const hours = Number(clock[1]);
+    const minutes = Number(clock[2]);
+    return hours < 24 && minutes < 60 ? { minutes: hours * 60 + minutes } : null;
+  }
+  const sun = /^(sunrise|sunset)\s*(?:([+-])\s*(\d+))?$/.exec(s);
+  if (!sun) return null;
+  return { sun: sun[1], offset: sun[2] ? Number(`${sun[2]}${sun[3]}`) : 0 };
+}
+
+function minutesOfDay(date) {
+  return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+}
+
+// minutes after local midnight `now`'s day; null when it can't be worked out
+// (unreadable, no location, or the sun doesn't rise/set today)
+function resolveTime(value, now, location) {
+  const time = parseTime(value);
+  if (!time) return null;
+  if (time.minutes !== undefined) return time.minutes;
+  if (!location) return null;
+  const noon = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 12);
+  const event = sunTimes(noon, location.latitude, location.longitude)[time.sun];
+  return event ? minutesOfDay(event) + time.offset : null;
+}
+
+function dayName(value) {
+  return String(value).trim().toLowerCase().slice(0, 3);
+}
+
+// whether the time and day conditions hold at `now` (targetState is checked separately)
+function timeConditionsPass(conditions, now, location) {
+  if (!conditions) return true;
+  if (Array.isArray(conditions.days) && conditions.days.length > 0 &&
+    !conditions.days.map(dayName).includes(DAYS[now.getDay()])) return false;
+
+  const hasAfter = conditions.after !== undefined && conditions.after !== '';
+  const hasBefore = conditions.before !== undefined && conditions.before !== '';
+  if (!hasAfter && !hasBefore) return true;
+  const after = hasAfter ? resolveTime(conditions.after, now, location) : null;
+  const before = hasBefore ? resolveTime(conditions.before, now, location) : null;
+  if ((hasAfter && after === null) || (hasBefore && before === null)) return false;
+
+  const minutes = minutesOfDay(now);
+  if (!hasBefore) return minutes >= after;
+  if (!hasAfter) return minutes < before;
+  if (after <= before) return minutes >= after && minutes < before;
+  return minutes >= after || minutes < before;
+}
+
+// configuration problems worth a startup warning, one line each
+function conditionWarnings(mappings, location) {
+  const warnings = [];
+  mappings.forEach((mapping, index) => {
+    const conditions = mapping.conditions;
+    if (!conditions) return;
+    const where = `Mapping ${index + 1}`;
+    ['after', 'before'].forEach((key) => {
+      if (conditions[key] === undefined || conditions[key] === '') return;
+      const time = parseTime(conditions[key]);
+      if (!time) warnings.push(`${where}: "${conditions[key]}" is not a time (use HH:MM, sunrise or sunset, e.g. sunset-30)`);
+      else if (time.sun && !location) warnings.push(`${where}: ${time.sun} conditions need latitude and longitude in the platform config`);
+    });
+    (Array.isArray(conditions.days) ? conditions.days : []).forEach((day) => {
+      if (!DAYS.includes(dayName(day))) warnings.push(`${where}: unknown day "${day}"`);
+    });
+    if (conditions.targetState && !['on', 'off'].includes(conditions.targetState)) {
+      warnings.push(`${where}: targetState must be "on" or "off"`);
+    } else if (conditions.targetState && !conditions.stateTargetName && !mapping.targetName) {
+      warnings.push(`${where}: targetState needs a targetName or stateTargetName`);
+    }
+  });
+  return warnings;
+}
+
+module.exports = { parseTime, resolveTime, timeConditionsPass, conditionWarnings };
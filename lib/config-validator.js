@@ -0,0 +1,231 @@
+// Startup checks for a (migrated, see migrations.js) config. Problems come back
+// as data so the caller decides what to do: settings that can't be used are
+// dropped so their defaults apply, mappings that can never fire are ignored
+// and get no virtual switch, and switch modes or button sensors that can't be
+// set up fall back to momentary switches or are left out.
+
+const net = require('net');
+const { STEP_ACTIONS } = require('./accessory-control');
+
+const PRESS_TYPES = ['single', 'double', 'long', 'hold', 'chord', 'sequence', 'code'];
+const ACTION_TYPES = ['accessory', 'scene', 'led', 'mode', 'macro', 'webhook'];
+const MODE_ACTIONS = ['next', 'previous', 'set', 'default'];
+const SWITCH_MODES = ['momentary', 'latching', 'mirror'];
+const SENSOR_TYPES = ['occupancy', 'contact'];
+const HOST_NAME = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+const MQTT_PROTOCOLS = ['mqtt:', 'mqtts:', 'tcp:', 'tls:', 'ws:', 'wss:'];
+
+// min / max / whole number for each numeric setting of a device
+const NUMBER_SETTINGS = {
+  port: { min: 1, max: 65535, integer: true },
+  timeout: { min: 1 },
+  reconnectDelay: { min: 1 },
+  maxReconnectDelay: { min: 1 },
+  pollInterval: { min: 1 },
+  maxMissedPolls: { min: 1, integer: true },
+  commandInterval: { min: 0 },
+  triggerResetDelay: { min: 0 },
+  doublePressWindow: { min: 0 },
+  longPressThreshold: { min: 0 },
+  holdDelay: { min: 0 },
+  holdRepeatInterval: { min: 1 },
+  chordWindow: { min: 0 },
+  sequenceTimeout: { min: 1 },
+  modeColorTolerance: { min: 0 },
+  modeButton: { min: 0, integer: true },
+  modeTimeout: { min: 0 },
+  latitude: { min: -90, max: 90 },
+  longitude: { min: -180, max: 180 }
+};
+
+function describeRange({ min, max, integer }) {
+  const kind = integer ? 'a whole number' : 'a number';
+  return max === undefined ? `${kind} of at least ${min}` : `${kind} from ${min} to ${max}`;
+}
+
+function inRange(value, range) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= range.min &&
+    (range.max === undefined || value <= range.max) && (!range.integer || Number.isInteger(value));
+}
+
+// an IP address or a host name (digits and dots alone must make an IP address)
+function isHost(value) {
+  if (typeof value !== 'string') return false;
+  const host = value.trim();
+  return net.isIP(host) !== 0 || (!/^[\d.]+$/.test(host) && HOST_NAME.test(host));
+}
+
+// device settings that can't be used: [{ key, message }]
+function checkSettings(config) {
+  const problems = [];
+  if (config.ip !== undefined && config.ip !== '' && !isHost(config.ip)) {
+    problems.push({ key: 'ip', message: `ip ${JSON.stringify(config.ip)} is not an IP address or host name` });
+  }
+  Object.keys(NUMBER_SETTINGS).forEach((key) => {
+    if (config[key] === undefined || inRange(config[key], NUMBER_SETTINGS[key])) return;
+    problems.push({ key, message: `${key} ${JSON.stringify(config[key])} is not ${describeRange(NUMBER_SETTINGS[key])}, using the default` });
+  });
+  return problems;
+}
+
+// platform integrations that can't start: [{ key, message }]
+function checkPlatform(config) {
+  const problems = [];
+  const port = (block, range) => block.port === undefined || inRange(block.port, range);
+  if (config.mqtt && config.mqtt.url) {
+    let protocol = null;
+    try {
+      protocol = new URL(config.mqtt.url).protocol;
+    } catch (e) {
+      // reported below
+    }
+    if (!MQTT_PROTOCOLS.includes(protocol)) {
+      problems.push({ key: 'mqtt', message: `mqtt.url "${config.mqtt.url}" is not a broker URL (e.g. mqtt://localhost:1883), the MQTT bridge stays off` });
+    }
+  }
+  // 0 picks a free port, which is only useful to tests
+  if (config.httpApi && !port(config.httpApi, { min: 0, max: 65535, integer: true })) {
+    problems.push({ key: 'httpApi', message: `httpApi.port ${JSON.stringify(config.httpApi.port)} is not a port number (1-65535), the HTTP API stays off` });
+  }
+  if (config.hap && !port(config.hap, { min: 1, max: 65535, integer: true })) {
+    problems.push({ key: 'hap', message: `hap.port ${JSON.stringify(config.hap.port)} is not a port number (1-65535), using the bridge from config.json` });
+  }
+  return problems;
+}
+
+// reasons mappings can never fire: [{ index, mapping, message }] in config order.
+// keypad: { buttons, modeButton, modes (names) }
+function checkMappings(mappings, keypad) {
+  const problems = [];
+  const firstFor = new Map(); // trigger + mode -> index of the unconditional mapping that wins it
+  mappings.forEach((mapping, index) => {
+    const found = [];
+    const fatal = (message) => {
+      found.push({ index, mapping, message });
+    };
+
+    const pressType = mapping.pressType || 'single';
+    const actionType = mapping.actionType || 'accessory';
+    if (!PRESS_TYPES.includes(pressType)) fatal(`pressType "${pressType}" is not one of ${PRESS_TYPES.join(', ')}`);
+    if (!ACTION_TYPES.includes(actionType)) fatal(`actionType "${actionType}" is not one of ${ACTION_TYPES.join(', ')}`);
+
+    const mode = typeof mapping.modeColor === 'string' ? mapping.modeColor.toLowerCase() : '';
+    if (!mode) fatal('has no modeColor (a mode name, or any)');
+    else if (mode !== 'any' && !keypad.modes.includes(mode)) fatal(`modeColor "${mapping.modeColor}" is not a configured mode (${keypad.modes.join(', ')} or any)`);
+
+    const trigger = checkTrigger(mapping, pressType, keypad, fatal);
+    checkAction(mapping, actionType, keypad, fatal);
+    // a hold repeats its action while the button is down, only a step makes sense
+    if (pressType === 'hold' && !(actionType === 'accessory' && STEP_ACTIONS.includes(mapping.action))) {
+      fatal(`hold repeats its action, so it needs an accessory action that steps (${STEP_ACTIONS.join(', ')}), not ${actionType === 'accessory' ? `"${mapping.action}"` : `a ${actionType} action`}`);
+    }
+
+    // an earlier mapping for the same press and mode without conditions always wins
+    if (found.length === 0 && trigger) {
+      const key = `${trigger}|${mode}`;
+      if (firstFor.has(key)) {
+        fatal(`never runs: mapping ${firstFor.get(key) + 1} handles the same press in the same mode first (give one of them conditions, or remove one)`);
+      } else if (!mapping.conditions) {
+        firstFor.set(key, index);
+      }
+    }
+    problems.push(...found);
+  });
+
+  // a button with a hold mapping waits for the hold instead of timing a long press
+  mappings.forEach((mapping, index) => {
+    if ((mapping.pressType || 'single') !== 'long' || problems.some(problem => problem.index === index)) return;
+    const mode = String(mapping.modeColor).toLowerCase();
+    const hold = mappings.findIndex((other, otherIndex) => (other.pressType || 'single') === 'hold' && !other.conditions &&
+      other.buttonNumber === mapping.buttonNumber && !problems.some(problem => problem.index === otherIndex) &&
+      [mode, 'any'].includes(String(other.modeColor).toLowerCase()));
+    if (hold === -1) return;
+    problems.push({ index, mapping, message: `never runs: mapping ${hold + 1} holds button ${mapping.buttonNumber} in the same mode, so a long press is never detected (give the hold conditions, or remove one)` });
+  });
+  return problems.sort((a, b) => a.index - b.index);
+}
+
+// a key for what sets the mapping off ("3|double", "sequence|1,3"); null when it can't be pressed
+function checkTrigger(mapping, pressType, keypad, fatal) {
+  const valid = n => Number.isInteger(n) && n >= 1 && n <= keypad.buttons;
+  if (pressType === 'code') {
+    const digits = String(mapping.code || '').replace(/\D/g, '');
+    const buttons = digits.split('').map(digit => Number(digit) || 10);
+    if (digits.length < 2) return fatal('code needs at least two digits');
+    if (!buttons.every(valid)) return fatal(`code uses digits the ${keypad.buttons}-button keypad doesn't have`);
+    return `sequence|${buttons.join(',')}`;
+  }
+  if (pressType === 'chord' || pressType === 'sequence') {
+    const buttons = Array.isArray(mapping.buttons) ? mapping.buttons : [];
+    if (buttons.length < 2) return fatal(`${pressType} needs at least two buttons`);
+    if (!buttons.every(valid)) return fatal(`${pressType} buttons must be whole numbers from 1 to ${keypad.buttons}`);
+    const ordered = pressType === 'chord' ? Array.from(new Set(buttons)).sort((a, b) => a - b) : buttons;
+    if (ordered.length < 2) return fatal('chord needs at least two different buttons');
+    return `${pressType}|${ordered.join(',')}`;
+  }
+  if (!valid(mapping.buttonNumber)) {
+    return fatal(mapping.buttonNumber === undefined
+      ? 'has no buttonNumber'
+      : `uses button ${JSON.stringify(mapping.buttonNumber)}, but the keypad has buttons 1 to ${keypad.buttons}`);
+  }
+  if (keypad.modeButton && mapping.buttonNumber === keypad.modeButton && pressType === 'single') {
+    return fatal(`button ${keypad.modeButton} is the mode button, its single press cycles the modes (map a double or long press, or set modeButton to 0)`);
+  }
+  return `${mapping.buttonNumber}|${pressType}`;
+}
+
+function checkAction(mapping, actionType, keypad, fatal) {
+  switch (actionType) {
+    case 'accessory':
+      if (!mapping.targetName) fatal('accessory action needs a targetName');
+      break;
+    case 'led':
+      if (!mapping.ledColor) fatal('led action needs a ledColor');
+      else if (!keypad.modes.includes(String(mapping.ledColor).toLowerCase())) fatal(`ledColor "${mapping.ledColor}" is not a configured mode (${keypad.modes.join(', ')})`);
+      break;
+    case 'mode':
+      if (!MODE_ACTIONS.includes(mapping.action)) fatal(`mode action must be one of ${MODE_ACTIONS.join(', ')}`);
+      else if (mapping.action === 'set' && !keypad.modes.includes(String(mapping.targetMode || '').toLowerCase())) {
+        fatal(mapping.targetMode ? `targetMode "${mapping.targetMode}" is not a configured mode` : 'mode action "set" needs a targetMode');
+      }
+      break;
+    case 'macro':
+      if (!Array.isArray(mapping.steps) || mapping.steps.length === 0) fatal('macro has no steps');
+      break;
+    case 'webhook':
+      if (!mapping.webhook || !mapping.webhook.url) fatal('webhook action needs a webhook URL');
+      break;
+    default:
+  }
+}
+
+// mapping switchModes that can't be used, so the switch stays momentary: [{ index, mapping, message }]
+function checkSwitchModes(mappings) {
+  const problems = [];
+  mappings.forEach((mapping, index) => {
+    if (mapping.switchMode === undefined) return;
+    const mode = String(mapping.switchMode).toLowerCase();
+    if (!SWITCH_MODES.includes(mode)) {
+      problems.push({ index, mapping, message: `switchMode "${mapping.switchMode}" is not one of ${SWITCH_MODES.join(', ')}, its switch stays momentary` });
+    } else if (mode === 'mirror' && ((mapping.actionType || 'accessory') !== 'accessory' || !mapping.targetName)) {
+      problems.push({ index, mapping, message: 'switchMode "mirror" needs an accessory action with a targetName to mirror, its switch stays momentary' });
+    }
+  });
+  return problems;
+}
+
+// held-button sensors that can't be added: [{ index, message }]
+function checkButtonSensors(sensors, buttons) {
+  const problems = [];
+  sensors.forEach((sensor, index) => {
+    const n = sensor && sensor.buttonNumber;
+    if (!Number.isInteger(n) || n < 1 || n > buttons) {
+      problems.push({ index, message: `Button sensor ${index + 1} uses button ${JSON.stringify(n)}, but the keypad has buttons 1 to ${buttons}` });
+    } else if (sensor.type !== undefined && !SENSOR_TYPES.includes(String(sensor.type).toLowerCase())) {
+      problems.push({ index, message: `Button sensor ${index + 1} type "${sensor.type}" is not one of ${SENSOR_TYPES.join(', ')}` });
+    }
+  });
+  return problems;
+}
+
+module.exports = { checkSettings, checkPlatform, checkMappings, checkSwitchModes, checkButtonSensors };
@@ -0,0 +1,47 @@
+// How a platform config becomes one config per keypad. Shared by the platform
+// and the settings page, so the page describes the keypads exactly as the
+// plugin sets them up (same ids, same merged settings, same skipped entries).
+
+const DEFAULT_NAME = 'iPort SM Buttons';
+
+// keys that only make sense at platform level and must not leak into device configs
+const PLATFORM_ONLY_KEYS = ['platform', 'name', 'ip', 'port', 'buttonMappings', 'devices', 'mqtt', 'httpApi', 'hap', 'history', 'configVersion'];
+
+// a device's id in MQTT topics, HTTP API routes and the saved state
+function deviceId(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'iport';
+}
+
+// { configs: [{ config, index }], skipped: [{ index, name, id }] }. A `devices` array
+// wins; otherwise the top-level ip/port/buttonMappings describe a single (legacy)
+// device (index null). Platform-level settings such as timeouts act as defaults
+// for every device. index is the entry's place in `devices`.
+function deviceConfigs(platformConfig) {
+  if (!Array.isArray(platformConfig.devices) || platformConfig.devices.length === 0) {
+    return { configs: [{ config: Object.assign({}, platformConfig, { name: platformConfig.name || DEFAULT_NAME }), index: null }], skipped: [] };
+  }
+
+  const shared = {};
+  Object.keys(platformConfig).forEach((key) => {
+    if (!PLATFORM_ONLY_KEYS.includes(key)) shared[key] = platformConfig[key];
+  });
+
+  const seen = new Set();
+  const configs = [];
+  const skipped = [];
+  platformConfig.devices.forEach((device, index) => {
+    const config = Object.assign({}, shared, device, { name: (device && device.name) || `${DEFAULT_NAME} ${index + 1}` });
+    // accessory UUIDs, topics, routes and saved state derive from the name, so
+    // names must be unique even once reduced to an id ("Hall Keypad", "hall-keypad")
+    const id = deviceId(config.name);
+    if (seen.has(id)) {
+      skipped.push({ index, name: config.name, id });
+      return;
+    }
+    seen.add(id);
+    configs.push({ config, index });
+  });
+  return { configs, skipped };
+}
+
+module.exports = { deviceConfigs, deviceId, DEFAULT_NAME, PLATFORM_ONLY_KEYS };
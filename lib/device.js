@@ -0,0 +1,1698 @@
+const net = require('net');
+const EventEmitter = require('events');
+const FrameParser = require('./frame-parser');
+const ModePalette = require('./palette');
+const ModelProfile = require('./model-profile');
+const LedAnimator = require('./led-animator');
+const MacroRunner = require('./macro-runner');
+const CommandWriter = require('./command-writer');
+const SequenceTracker = require('./sequence-tracker');
+const { callWebhook } = require('./webhook');
+const { computeValue } = require('./accessory-control');
+const { timeConditionsPass, conditionWarnings } = require('./conditions');
+const { checkSettings, checkMappings, checkSwitchModes, checkButtonSensors } = require('./config-validator');
+const { deviceId } = require('./device-configs');
+
+const RECENT_FRAME_LIMIT = 50;
+const MAX_HOLD_REPEATS = 200; // safety stop in case the key-up never arrives
+const HSV_SETTLE_DELAY = 20; // ms to collect Hue/Saturation/Brightness writes that arrive together
+const MIRROR_POLL_INTERVAL = 10000; // ms between reads of the accessories that mirror switches show
+
+// One iPort keypad: its TCP connection, LED state, mode and HomeKit accessory.
+// The platform creates one of these per configured device.
+//
+// Events (for integrations such as the MQTT bridge):
+//   'press'      { button, pressType, mode } (chords and sequences add buttons; codes report neither)
+//   'connection' connected (boolean)
+//   'led'        { r, g, b }, mode
+class IPortDevice extends EventEmitter {
+  constructor(platform, config, log) {
+    super();
+    this.platform = platform;
+    this.api = platform.api;
+    this.config = config || {};
+    this.log = log || platform.log;
+
+    // settings that can't be used are dropped so their defaults apply
+    const settingProblems = checkSettings(this.config);
+    if (settingProblems.length > 0) this.config = Object.assign({}, this.config);
+    settingProblems.forEach((problem) => {
+      this.log.error(problem.message);
+      delete this.config[problem.key];
+    });
+
+    // identity (the UUID must stay stable, cached accessories are matched by it)
+    this.name = this.config.name || 'iPort SM Buttons';
+    this.uuid = this.api.hap.uuid.generate(this.name);
+    this.id = deviceId(this.name); // for topics/URLs
+
+    // network/config
+    this.ip = this.config.ip || '192.168.2.12';
+    this.port = this.config.port || 10001;
+    this.timeout = this.config.timeout || 5000;
+    this.reconnectDelay = this.config.reconnectDelay || 5000; // first retry, doubles up to maxReconnectDelay
+    this.maxReconnectDelay = Math.max(this.reconnectDelay, this.config.maxReconnectDelay || 60000);
+    this.pollInterval = this.config.pollInterval || 5000; // LED poll, doubles as the liveness check
+    this.maxMissedPolls = this.config.maxMissedPolls || 3; // unanswered polls before the socket is dropped
+    this.triggerResetDelay = typeof this.config.triggerResetDelay === 'number' ? this.config.triggerResetDelay : 500; // ms
+
+    // keypad variant: button count, event labels, mode button and LED command syntax
+    this.model = ModelProfile.fromConfig(this.config);
+    this.model.warnings.forEach(warning => this.log.warn(warning));
+
+    // press timing (defaults, can be overridden per button via buttonTimings)
+    this.doublePressWindow = typeof this.config.doublePressWindow === 'number' ? this.config.doublePressWindow : 400; // ms
+    this.longPressThreshold = typeof this.config.longPressThreshold === 'number' ? this.config.longPressThreshold : 800; // ms
+    this.holdDelay = typeof this.config.holdDelay === 'number' ? this.config.holdDelay : 500; // ms down before a hold starts
+    this.holdRepeatInterval = this.config.holdRepeatInterval || 250; // ms between hold repeats
+    this.buttonTimings = this.config.buttonTimings || [];
+
+    // combinations: chords (buttons pressed together) and sequences / codes (one after another)
+    this.chordWindow = typeof this.config.chordWindow === 'number' ? this.config.chordWindow : 150; // ms between a chord's first and last key-down
+    this.sequenceTracker = new SequenceTracker({
+      timeout: this.config.sequenceTimeout || 2000, // ms allowed between two presses of a sequence
+      getSequences: () => this.getActiveCombos('sequence'),
+      onMatch: mapping => this.executeCombo(mapping),
+      onPress: (buttonNumber) => {
+        this.reportPress(buttonNumber - 1, 0, 'single');
+        this.executeButtonAction(buttonNumber, 'single');
+      }
+    });
+
+    // runtime state
+    this.accessory = null;
+    this.buttonServices = [];
+    this.mappingSwitches = {}; // mappingKey -> Switch service
+    this.mirrorSwitches = {}; // mappingKey -> { service, mapping, error } for switchMode "mirror"
+    this.mirrorTimer = null;
+    this.mirrorRefresh = null; // the running refresh, so slow reads don't pile up
+    this.heldSensors = {}; // button number -> { type, service }
+    this.steppingTargets = new Set(); // lowercased target names a hold step is reading and writing
+    this.buttonStates = Array.from({ length: this.model.buttons }, () => ({ state: 0, lastPress: 0, clicks: 0, longFired: false, longTimer: null, clickTimer: null, holdTimer: null, suppressed: false }));
+    this.ledColor = { r: 255, g: 255, b: 255 };
+    this.connected = false;
+    this.socket = null;
+    this.isShuttingDown = false;
+    this.keepAliveInterval = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0; // since the last connection that stayed up, for the backoff
+    this.connectedAt = 0;
+    this.lastDataAt = 0;
+    this.exposeConnectionSensor = this.config.connectionSensor !== false;
+    this.connectionService = null;
+
+    // all writes go through one paced queue; LED updates coalesce to the latest value
+    this.writer = new CommandWriter((raw) => this.socket.write(raw), {
+      minInterval: typeof this.config.commandInterval === 'number' ? this.config.commandInterval : 50
+    });
+    this.pendingHsv = null; // { h?, s?, v? } from HomeKit, applied together
+    this.hsvTimer = null;
+    this.eventQueue = [];
+    this.lastRawData = null;
+    this.recentFrames = []; // last RECENT_FRAME_LIMIT raw frames, for the HTTP API
+
+    // named LED modes (configurable palette)
+    this.palette = ModePalette.fromConfig(this.config);
+    this.palette.warnings.forEach(warning => this.log.warn(warning));
+
+    // mode button (0 disables it), default mode and inactivity revert
+    this.modeButton = typeof this.config.modeButton === 'number' ? this.config.modeButton : this.model.modeButton;
+    if (this.modeButton > this.model.buttons) {
+      this.log.warn(`Mode button ${this.modeButton} does not exist on a ${this.model.buttons}-button keypad, there is no mode button`);
+      this.modeButton = 0;
+    }
+    this.defaultMode = String(this.config.defaultMode || '').toLowerCase() || this.palette.cycle[0] || this.palette.names()[0];
+    if (this.config.defaultMode && !this.palette.get(this.defaultMode)) {
+      this.log.warn(`Default mode "${this.config.defaultMode}" is not a configured mode`);
+    }
+    this.modeTimeout = typeof this.config.modeTimeout === 'number' ? this.config.modeTimeout : 0; // seconds, 0 = never
+    this.modeTimer = null;
+
+    // optional HomeKit switches mirroring the active mode
+    this.exposeModeSwitches = this.config.modeSwitches === true;
+    this.modeSwitches = {}; // mode name -> Switch service
+    this.reportedMode = null;
+
+    // LED feedback after a mapping runs (mappings may override each field)
+    this.feedback = {
+      pattern: this.config.feedbackPattern || 'none',
+      successColor: this.config.feedbackSuccessColor || '#00FF00',
+      failureColor: this.config.feedbackFailureColor || '#FF0000'
+    };
+    this.animator = new LedAnimator((r, g, b) => this.writeLED(r, g, b), () => this.ledColor);
+
+    // macro mappings, keyed by button so a second press cancels the run
+    this.macroRunner = new MacroRunner((step, index) => this.runMacroStep(step, index));
+    this.pulseSwitches = {}; // name -> Switch service pulsed by macro "switch" steps
+
+    // LED state at startup: 'restore' the saved mode, trust the 'device', or start in the 'default' mode.
+    // Unless trusting the device, the plugin's mode is pushed to the keypad on every (re)connect so a
+    // power-cycled keypad gets its mode back.
+    this.startupMode = ['restore', 'device', 'default'].includes(this.config.startupMode) ? this.config.startupMode : 'restore';
+    this.stateStore = platform.stateStore || null;
+    this.history = platform.pressHistory || null;
+    this.ledKnown = false; // whether ledColor reflects a real mode yet (it starts as a placeholder)
+    this.initLedState();
+
+    // where the keypad is, for sunrise/sunset conditions
+    this.location = typeof this.config.latitude === 'number' && typeof this.config.longitude === 'number'
+      ? { latitude: this.config.latitude, longitude: this.config.longitude }
+      : null;
+
+    // mappings that can never fire are reported and get no switch; they stay in
+    // the list (entries that aren't objects become empty ones) so mapping numbers match the config
+    this.buttonMappings = (Array.isArray(this.config.buttonMappings) ? this.config.buttonMappings : [])
+      .map(mapping => (mapping && typeof mapping === 'object' ? mapping : {}));
+    this.mappingProblems = new Map(); // mapping that can never fire -> [reason]
+    checkMappings(this.buttonMappings, { buttons: this.model.buttons, modeButton: this.modeButton, modes: this.palette.names() })
+      .forEach(({ index, mapping, message }) => {
+        this.log.error(`Mapping ${index + 1} ${message}`);
+        this.mappingProblems.set(mapping, (this.mappingProblems.get(mapping) || []).concat(message));
+      });
+    if (this.mappingProblems.size > 0) {
+      this.log.error(`${this.mappingProblems.size} mapping(s) can never fire and are ignored until the problems above are fixed`);
+    }
+    conditionWarnings(this.buttonMappings, this.location).forEach(warning => this.log.warn(warning));
+
+    // mapping switches are momentary unless switchMode says otherwise
+    this.switchModeProblems = new Set();
+    checkSwitchModes(this.buttonMappings).forEach(({ index, mapping, message }) => {
+      this.log.warn(`Mapping ${index + 1} ${message}`);
+      this.switchModeProblems.add(mapping);
+    });
+
+    // optional sensors that are active while a button is held down
+    const sensors = Array.isArray(this.config.buttonSensors) ? this.config.buttonSensors : [];
+    const sensorProblems = checkButtonSensors(sensors, this.model.buttons);
+    sensorProblems.forEach(({ message }) => this.log.warn(message));
+    this.heldSensorTypes = {}; // button number -> 'occupancy' | 'contact'
+    sensors.forEach((sensor, index) => {
+      if (sensorProblems.some(problem => problem.index === index)) return;
+      this.heldSensorTypes[sensor.buttonNumber] = String(sensor.type || 'occupancy').toLowerCase();
+    });
+  }
+
+  initLedState() {
+    let color = null;
+    if (this.startupMode === 'default') {
+      color = this.palette.get(this.defaultMode);
+    } else if (this.startupMode === 'restore') {
+      const saved = this.stateStore && this.stateStore.get(this.id);
+      color = saved && saved.led && this.parseColor(saved.led);
+      if (color) this.log(`Restoring last LED mode: ${this.palette.match(color)}`);
+    }
+    if (!color) return;
+    this.ledColor = color;
+    this.ledKnown = true;
+  }
+
+  shutdown() {
+    this.isShuttingDown = true;
+    this.log('Homebridge shutting down, closing socket');
+    if (this.keepAliveInterval) clearInterval(this.keepAliveInterval);
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    if (this.hsvTimer) clearTimeout(this.hsvTimer);
+    if (this.mirrorTimer) clearInterval(this.mirrorTimer);
+    this.writer.clear();
+    this.clearButtonTimers();
+    this.animator.stop();
+    this.macroRunner.cancelAll();
+    if (this.modeTimer) clearTimeout(this.modeTimer);
+    if (this.socket) this.socket.destroy();
+  }
+
+  // -------------------------
+  // Connection & parsing
+  // -------------------------
+  connect() {
+    if (this.isShuttingDown) return; // a reconnect timer may outlive shutdown
+    if (!this.ip) {
+      this.log.error('No IP configured for iPort device');
+      return;
+    }
+
+    this.log(`Connecting to ${this.ip}:${this.port}`);
+    const socket = new net.Socket();
+    this.socket = socket;
+    socket.setTimeout(this.timeout); // connection attempt only
+
+    socket.connect(this.port, this.ip, () => {
+      this.log(`Connected to ${this.ip}:${this.port}`);
+      this.connectedAt = Date.now();
+      this.lastDataAt = Date.now();
+      // once up, checkLiveness owns liveness: an idle timeout shorter than the poll
+      // interval would drop a healthy keypad between two polls
+      socket.setTimeout(0);
+      this.setConnected(true);
+
+      // give a rebooted keypad its mode back, then read the LED (queryLED writes silently)
+      if (this.startupMode !== 'device' && this.ledKnown) this.setLED(this.ledColor.r, this.ledColor.g, this.ledColor.b);
+      this.queryLED();
+
+      // keep polling LED state (no verbose logging); the replies prove the link is alive
+      this.keepAliveInterval = setInterval(() => this.checkLiveness(), this.pollInterval);
+    });
+
+    // fresh parser per connection so a half frame from a dead socket can't leak into the next one
+    this.parser = new FrameParser({
+      onFrame: (frame) => {
+        this.lastRawData = frame; // keep latest raw in memory for diagnostics if needed
+        this.recentFrames.push({ time: new Date().toISOString(), frame });
+        if (this.recentFrames.length > RECENT_FRAME_LIMIT) this.recentFrames.shift();
+      },
+      onJson: (json) => this.handleJsonFrame(json),
+      onLed: (value) => this.parseAndSetLedFromString(value),
+      onError: (err) => this.log(`Discarding frame: ${err.message}`)
+    });
+    const parser = this.parser;
+
+    socket.on('data', (data) => {
+      if (this.isShuttingDown || socket !== this.socket) return;
+      this.lastDataAt = Date.now();
+      // the backoff only starts over once a connection has stayed up for a poll and
+      // still answers, so a keypad that accepts and then drops (or goes silent) isn't hammered
+      if (this.reconnectAttempts > 0 && this.lastDataAt - this.connectedAt >= this.pollInterval) this.reconnectAttempts = 0;
+      parser.push(data);
+    });
+
+    // 'error' is always followed by 'close', which does the cleanup and the single reconnect
+    socket.on('error', (err) => {
+      this.log(`Socket error: ${err.message}`);
+    });
+
+    socket.on('close', () => {
+      if (socket !== this.socket) return; // superseded connection
+      this.log('Connection closed');
+      if (this.keepAliveInterval) clearInterval(this.keepAliveInterval);
+      this.keepAliveInterval = null;
+      parser.reset();
+      this.clearButtonTimers();
+      this.setConnected(false);
+      this.scheduleReconnect();
+    });
+
+    socket.on('timeout', () => {
+      // suppress timeout log noise
+      try { socket.destroy(); } catch (e) {}
+    });
+  }
+
+  // one pending reconnect at a time; the delay doubles per failed attempt (with jitter)
+  scheduleReconnect() {
+    if (this.isShuttingDown || this.reconnectTimer) return;
+    const base = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2 ** this.reconnectAttempts);
+    const delay = Math.round(base * (0.8 + Math.random() * 0.4)); // +/-20% so several keypads don't retry in lockstep
+    this.reconnectAttempts++;
+    if (this.reconnectAttempts > 1) this.log(`Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  // poll the LED; drop a connection that stopped answering (half-open TCP looks healthy otherwise)
+  checkLiveness() {
+    if (!this.connected || this.isShuttingDown) return;
+    const silentFor = Date.now() - this.lastDataAt;
+    if (silentFor > this.pollInterval * this.maxMissedPolls) {
+      this.log(`No reply from the device for ${Math.round(silentFor / 1000)}s, dropping the connection`);
+      try { this.socket.destroy(); } catch (e) {}
+      return;
+    }
+    this.queryLED();
+  }
+
+  setConnected(connected) {
+    const changed = this.connected !== connected;
+    this.connected = connected;
+    this.writer.setConnected(connected);
+    if (this.accessory && this.accessory.updateReachability) this.accessory.updateReachability(connected);
+    this.updateConnectionService();
+    if (changed) this.emit('connection', connected);
+  }
+
+  // JSON frames carry button events and/or the LED state
+  handleJsonFrame(json) {
+    if (json.led) {
+      // some devices include led in JSON
+      this.parseAndSetLedFromString(String(json.led));
+    }
+    if (Array.isArray(json.events)) {
+      json.events.forEach((event) => {
+        if (!event || typeof event !== 'object' || typeof event.label !== 'string') {
+          this.log(`Ignoring malformed event: ${JSON.stringify(event)}`);
+          return;
+        }
+        const keyNum = this.model.keyIndex(event.label);
+        const state = parseInt(event.state, 10);
+        if (keyNum === -1 || isNaN(state)) {
+          this.log(`Ignoring unrecognized event: ${JSON.stringify(event)}`);
+          return;
+        }
+        this.queueOrHandleEvent(keyNum, state);
+      });
+    }
+  }
+
+  // parse an LED readback in the model's reply form and set ledColor (silent updates)
+  parseAndSetLedFromString(ledValue) {
+    // mid-animation readbacks show animation frames, not the mode color
+    if (this.animator.active) return;
+    const color = this.model.parseLed(ledValue);
+    if (!color) {
+      // polled, so only report a reply that changed
+      if (this.badLedReply !== ledValue) this.log.warn(`Ignoring LED reply "${ledValue}": not a ${this.model.ledReply} color with values from 0 to 255`);
+      this.badLedReply = ledValue;
+      return;
+    }
+    this.badLedReply = null;
+    this.setLedState(color);
+    // update HomeKit characteristics silently (no repetitive logging)
+    this.updateLightCharacteristics();
+  }
+
+  // -------------------------
+  // Event queue / button handling
+  // -------------------------
+  queueOrHandleEvent(buttonIndex, state) {
+    // minimal logging — useful to know events are queued/handled
+    this.log(`Queue or handle event: button ${buttonIndex + 1}, state ${state}, services ${this.buttonServices.length}`);
+    if (this.buttonServices.length === 0) {
+      this.eventQueue.push({ buttonIndex, state });
+      this.log(`Queued event for button ${buttonIndex + 1}, state ${state}`);
+    } else {
+      this.handleButtonEvent(buttonIndex, state);
+    }
+  }
+
+  processQueuedEvents() {
+    this.log(`Processing ${this.eventQueue.length} queued events`);
+    while (this.eventQueue.length > 0) {
+      const event = this.eventQueue.shift();
+      this.handleButtonEvent(event.buttonIndex, event.state);
+    }
+  }
+
+  handleButtonEvent(buttonIndex, state) {
+    if (!this.connected || this.isShuttingDown) {
+      this.log(`Cannot handle event for button ${buttonIndex + 1}: not connected or shutting down`);
+      return;
+    }
+    const service = this.buttonServices[buttonIndex];
+    if (!service) {
+      this.log(`No service found for button ${buttonIndex + 1}`);
+      return;
+    }
+    const bs = this.buttonStates[buttonIndex];
+    const timing = this.getButtonTiming(buttonIndex + 1);
+
+    // press-timing state machine:
+    // down -> arm long timer; up before it fires -> count a click and wait
+    // doublePressWindow for a second one; second up inside the window -> double.
+    // A button with a "hold" mapping in the current mode arms a hold timer
+    // instead: once it fires the mapping repeats until the key is released.
+    // A key-down that completes a chord consumes the chord's buttons instead.
+    if (state === 1) {
+      if (bs.state === 1) return; // repeated down report
+      this.restartModeTimer();
+      bs.state = 1;
+      this.updateHeldSensor(buttonIndex + 1, true);
+      bs.lastPress = Date.now();
+      bs.longFired = false;
+      bs.suppressed = false;
+      if (bs.clickTimer) {
+        clearTimeout(bs.clickTimer);
+        bs.clickTimer = null;
+      }
+      if (this.matchChord(buttonIndex + 1)) return;
+      const holdMappings = this.resolveMappings(buttonIndex + 1, 'hold', this.getCurrentMode());
+      if (holdMappings.length > 0) {
+        bs.longTimer = setTimeout(() => {
+          bs.longTimer = null;
+          bs.longFired = true;
+          if (bs.clicks > 0) this.triggerButtonEvent(buttonIndex, 0);
+          bs.clicks = 0;
+          this.startHold(buttonIndex, holdMappings);
+        }, timing.holdDelay);
+      } else if (timing.longPressThreshold > 0) {
+        bs.longTimer = setTimeout(() => {
+          bs.longTimer = null;
+          bs.longFired = true;
+          // a click still waiting for its pair resolves as a single press first
+          if (bs.clicks > 0) this.triggerButtonEvent(buttonIndex, 0);
+          bs.clicks = 0;
+          this.triggerButtonEvent(buttonIndex, 2);
+        }, timing.longPressThreshold);
+      }
+    } else if (state === 0 && bs.state === 1) {
+      bs.state = 0;
+      this.updateHeldSensor(buttonIndex + 1, false);
+      if (bs.longTimer) {
+        clearTimeout(bs.longTimer);
+        bs.longTimer = null;
+      }
+      this.stopHold(bs);
+      if (bs.suppressed) {
+        // released after its chord ran
+        bs.suppressed = false;
+        return;
+      }
+      if (bs.longFired) {
+        // long press (or hold) already reported on the down edge
+        bs.longFired = false;
+        return;
+      }
+
+      // a chord button's click waits at least chordWindow, so a chord can still claim it
+      const clickWindow = this.isChordButton(buttonIndex + 1) ? Math.max(timing.doublePressWindow, this.chordWindow) : timing.doublePressWindow;
+      bs.clicks++;
+      if (bs.clicks >= 2) {
+        bs.clicks = 0;
+        this.triggerButtonEvent(buttonIndex, 1);
+      } else if (clickWindow <= 0) {
+        bs.clicks = 0;
+        this.triggerButtonEvent(buttonIndex, 0);
+      } else {
+        bs.clickTimer = setTimeout(() => {
+          bs.clickTimer = null;
+          bs.clicks = 0;
+          this.triggerButtonEvent(buttonIndex, 0);
+        }, clickWindow);
+      }
+    }
+  }
+
+  // per-button timing override, falling back to the platform defaults
+  getButtonTiming(buttonNumber) {
+    const override = this.buttonTimings.find(t => t.buttonNumber === buttonNumber) || {};
+    return {
+      doublePressWindow: typeof override.doublePressWindow === 'number' ? override.doublePressWindow : this.doublePressWindow,
+      longPressThreshold: typeof override.longPressThreshold === 'number' ? override.longPressThreshold : this.longPressThreshold,
+      holdDelay: typeof override.holdDelay === 'number' ? override.holdDelay : this.holdDelay
+    };
+  }
+
+  // report the hold once (as a long press to HomeKit), then run the first
+  // candidate whose conditions hold right away and every repeatInterval until stopHold
+  startHold(buttonIndex, candidates) {
+    const bs = this.buttonStates[buttonIndex];
+    const pressedAt = bs.lastPress;
+    const press = this.startPress({ button: buttonIndex + 1, pressType: 'hold' });
+    this.triggerButtonEvent(buttonIndex, 2, 'hold');
+    this.selectMapping(candidates).then((mapping) => {
+      if (!mapping) {
+        this.log(`No hold action for button ${buttonIndex + 1} has its conditions met`);
+        this.recordPress(press, null, 'skipped');
+        return;
+      }
+      const interval = Math.max(50, mapping.repeatInterval || this.holdRepeatInterval);
+      let repeats = 0;
+      // a step reads the target and writes it back, so a tick while the last step on
+      // the same target is still running (slow bridge) waits for the next one: two
+      // steps started from the same value would count as one
+      const target = String(mapping.targetName || '').trim().toLowerCase();
+      // the history records a hold once, with the outcome of its first step
+      const repeat = () => {
+        if (this.steppingTargets.has(target)) return;
+        const first = ++repeats === 1;
+        if (repeats >= MAX_HOLD_REPEATS) this.stopHold(bs);
+        this.steppingTargets.add(target);
+        new Promise(resolve => resolve(this.runMapping(mapping)))
+          .then((success) => {
+            if (first) this.recordPress(press, mapping, success ? 'ok' : 'failed');
+          })
+          .catch(() => {})
+          .then(() => this.steppingTargets.delete(target));
+      };
+      repeat();
+      // the key may have been released while the conditions were checked
+      const stillDown = bs.state === 1 && bs.lastPress === pressedAt;
+      if (stillDown && bs.holdTimer === null && repeats < MAX_HOLD_REPEATS) bs.holdTimer = setInterval(repeat, interval);
+    });
+  }
+
+  stopHold(bs) {
+    if (!bs.holdTimer) return;
+    clearInterval(bs.holdTimer);
+    bs.holdTimer = null;
+  }
+
+  clearButtonTimers() {
+    this.buttonStates.forEach((bs, index) => {
+      if (bs.longTimer) clearTimeout(bs.longTimer);
+      if (bs.clickTimer) clearTimeout(bs.clickTimer);
+      this.stopHold(bs);
+      bs.longTimer = null;
+      bs.clickTimer = null;
+      bs.clicks = 0;
+      bs.suppressed = false;
+      bs.state = 0; // a key-up lost with the connection must not block the next press
+      this.updateHeldSensor(index + 1, false);
+    });
+    this.sequenceTracker.reset();
+  }
+
+  // a chord completes on the key-down of its last button, when all of its
+  // buttons went down within chordWindow; their own presses are then dropped
+  matchChord(buttonNumber) {
+    const now = Date.now();
+    const chord = this.getActiveCombos('chord')
+      .filter(combo => combo.buttons.includes(buttonNumber) && combo.buttons.every((n) => {
+        const bs = this.buttonStates[n - 1];
+        return bs && !bs.suppressed && now - bs.lastPress <= this.chordWindow;
+      }))
+      .sort((a, b) => b.buttons.length - a.buttons.length)[0];
+    if (!chord) return false;
+
+    this.sequenceTracker.flush();
+    chord.buttons.forEach((n) => {
+      const bs = this.buttonStates[n - 1];
+      if (bs.longTimer) clearTimeout(bs.longTimer);
+      if (bs.clickTimer) clearTimeout(bs.clickTimer);
+      this.stopHold(bs);
+      bs.longTimer = null;
+      bs.clickTimer = null;
+      bs.clicks = 0;
+      bs.suppressed = bs.state === 1; // swallow the key-up still to come
+    });
+    this.executeCombo(chord.mapping);
+    return true;
+  }
+
+  isChordButton(buttonNumber) {
+    return this.getActiveCombos('chord').some(combo => combo.buttons.includes(buttonNumber));
+  }
+
+  // pressType overrides the name derived from eventType (a hold reports as a long press)
+  triggerButtonEvent(buttonIndex, eventType, pressType) {
+    if (this.isShuttingDown) return;
+    const humanType = pressType || (eventType === 0 ? 'single' : eventType === 1 ? 'double' : 'long');
+    // a single press may be held back (or swallowed) as part of a sequence, so it is
+    // only reported once the tracker releases it: a code's digits never show up
+    if (humanType === 'single') {
+      this.sequenceTracker.press(buttonIndex + 1);
+      return;
+    }
+    this.sequenceTracker.flush(); // any other press ends a pending sequence
+    this.reportPress(buttonIndex, eventType, humanType);
+    if (humanType === 'hold') return; // startHold runs the mapping itself, repeatedly
+    this.executeButtonAction(buttonIndex + 1, humanType);
+  }
+
+  // tell HomeKit, the log and listeners about a press
+  reportPress(buttonIndex, eventType, humanType) {
+    const service = this.buttonServices[buttonIndex];
+    if (service) {
+      try {
+        service.updateCharacteristic(this.api.hap.Characteristic.ProgrammableSwitchEvent, eventType);
+      } catch (e) {
+        // ignore update errors
+      }
+    }
+    this.log(`Button ${buttonIndex + 1} triggered ${humanType} press`);
+    this.emit('press', { button: buttonIndex + 1, pressType: humanType, mode: this.getCurrentMode() });
+  }
+
+  // -------------------------
+  // Actions execution
+  // -------------------------
+  executeButtonAction(buttonNumber, pressType = 'single') {
+    const press = this.startPress({ button: buttonNumber, pressType });
+
+    // pressing a button again while its macro runs cancels the macro
+    if (this.macroRunner.cancel(buttonNumber)) {
+      this.log(`Cancelled macro on button ${buttonNumber}`);
+      this.recordPress(press, null, 'cancelled');
+      return;
+    }
+
+    if (this.modeButton && buttonNumber === this.modeButton && pressType === 'single') {
+      this.cycleLEDColor();
+      this.recordPress(press, null, 'mode');
+      return;
+    }
+
+    if (!this.buttonMappings.some(action => action.buttonNumber === buttonNumber && this.getPressType(action) === pressType)) {
+      this.log(`No ${pressType} press actions configured for button ${buttonNumber}`);
+      this.recordPress(press, null, 'unmapped');
+      return;
+    }
+
+    const currentMode = this.getCurrentMode();
+    this.log(`Current LED mode: ${currentMode}`);
+
+    const candidates = this.resolveMappings(buttonNumber, pressType, currentMode);
+    if (candidates.length === 0) {
+      this.log(`No ${pressType} press action found for button ${buttonNumber} in ${currentMode} mode`);
+      this.recordPress(press, null, 'unmapped');
+      return;
+    }
+
+    this.selectMapping(candidates).then((actionToExecute) => {
+      if (!actionToExecute) {
+        this.log(`No ${pressType} press action for button ${buttonNumber} has its conditions met`);
+        this.recordPress(press, null, 'skipped');
+        return;
+      }
+      this.log(`Executing action for button ${buttonNumber}: ${JSON.stringify(actionToExecute)}`);
+      this.runWithFeedback(actionToExecute).then(success => this.recordPress(press, actionToExecute, success ? 'ok' : 'failed'));
+    });
+  }
+
+  // a chord, sequence or code was entered: report it, then run its mapping
+  executeCombo(mapping) {
+    const pressType = this.getPressType(mapping);
+    const trigger = this.describeTrigger(mapping);
+    const buttons = this.getComboButtons(mapping);
+    this.log(`${trigger} entered`);
+    // a code's buttons stay out of events and logs
+    const event = pressType === 'code' ? { button: null } : { button: buttons[0], buttons };
+    this.emit('press', Object.assign({}, event, { pressType, mode: this.getCurrentMode() }));
+    const press = this.startPress(Object.assign(event, { pressType }));
+
+    if (this.macroRunner.cancel(trigger)) {
+      this.log(`Cancelled macro on ${trigger}`);
+      this.recordPress(press, null, 'cancelled');
+      return;
+    }
+    const candidates = this.resolveCombos(this.getComboKind(mapping), buttons, this.getCurrentMode());
+    this.selectMapping(candidates).then((selected) => {
+      if (!selected) {
+        this.log(`No action for ${trigger} has its conditions met`);
+        this.recordPress(press, null, 'skipped');
+        return;
+      }
+      const logged = pressType === 'code' ? Object.assign({}, selected, { code: '***' }) : selected;
+      this.log(`Executing action for ${trigger}: ${JSON.stringify(logged)}`);
+      this.runWithFeedback(selected).then(success => this.recordPress(press, selected, success ? 'ok' : 'failed'));
+    });
+  }
+
+  // resolves with whether the mapping succeeded
+  runWithFeedback(mapping) {
+    return Promise.resolve(this.runMapping(mapping)).then((success) => {
+      this.playFeedback(mapping, success);
+      return success;
+    });
+  }
+
+  // -------------------------
+  // Press history
+  // -------------------------
+  // when and in which mode a press happened; recorded once its outcome is known
+  startPress(press) {
+    return Object.assign({ time: new Date().toISOString() }, press, { mode: this.getCurrentMode() });
+  }
+
+  recordPress(press, mapping, outcome) {
+    if (!this.history) return;
+    const index = mapping ? this.buttonMappings.indexOf(mapping) : -1;
+    this.history.record(Object.assign({ device: this.id }, press, {
+      mapping: mapping ? {
+        number: index + 1,
+        key: this.getMappingKey(mapping),
+        trigger: this.describeTrigger(mapping),
+        actionType: mapping.actionType || 'accessory',
+        action: mapping.action,
+        targetName: mapping.targetName
+      } : null,
+      outcome
+    }));
+  }
+
+  // the mappings a press may run in `mode`, best first: exact mode matches before
+  // 'any', each in config order, without those whose time conditions fail right
+  // now or that failed the startup checks
+  resolveMappings(buttonNumber, pressType, mode) {
+    const actions = this.buttonMappings.filter(action => action.buttonNumber === buttonNumber && this.getPressType(action) === pressType);
+    return this.rankByMode(actions, mode);
+  }
+
+  // the mapping a press runs, leaving aside targetState conditions (see selectMapping)
+  resolveMapping(buttonNumber, pressType, mode) {
+    return this.resolveMappings(buttonNumber, pressType, mode)[0] || null;
+  }
+
+  rankByMode(mappings, mode) {
+    const now = new Date();
+    const usable = mappings.filter(m => !this.mappingProblems.has(m) && timeConditionsPass(m.conditions, now, this.location));
+    const modeOf = m => String(m.modeColor).toLowerCase();
+    return usable.filter(m => modeOf(m) === mode).concat(usable.filter(m => modeOf(m) === 'any'));
+  }
+
+  // first candidate whose targetState condition holds; those need a HAP read, hence async
+  async selectMapping(candidates) {
+    for (const mapping of candidates) {
+      if (await this.targetStatePasses(mapping)) return mapping;
+    }
+    return null;
+  }
+
+  async targetStatePasses(mapping) {
+    const wanted = mapping.conditions && mapping.conditions.targetState;
+    if (!wanted) return true;
+    const targetName = mapping.conditions.stateTargetName || mapping.targetName;
+    try {
+      const hapClient = this.platform.hapClient;
+      const value = await hapClient.read(await hapClient.findTarget({ targetName, characteristic: 'On' }));
+      return (value === true || Number(value) > 0) === (wanted === 'on');
+    } catch (e) {
+      this.log(`Cannot check whether "${targetName}" is ${wanted}: ${e.message}`);
+      return false;
+    }
+  }
+
+  // 'chord', or 'sequence' for sequences and codes (they share the same presses); null for button mappings
+  getComboKind(mapping) {
+    const pressType = this.getPressType(mapping);
+    if (pressType === 'chord') return 'chord';
+    return pressType === 'sequence' || pressType === 'code' ? 'sequence' : null;
+  }
+
+  // a combination's buttons: in order for sequences, sorted for chords; a code's digits are buttons (0 is 10)
+  getComboButtons(mapping) {
+    const pressType = this.getPressType(mapping);
+    const buttons = pressType === 'code'
+      ? String(mapping.code || '').replace(/\D/g, '').split('').map(digit => Number(digit) || 10)
+      : (Array.isArray(mapping.buttons) ? mapping.buttons : []).map(Number);
+    const valid = buttons.filter(n => Number.isInteger(n) && n >= 1 && n <= this.buttonStates.length);
+    return pressType === 'chord' ? Array.from(new Set(valid)).sort((a, b) => a - b) : valid;
+  }
+
+  resolveCombos(kind, buttons, mode) {
+    const key = buttons.join(',');
+    return this.rankByMode(this.buttonMappings.filter(m => this.getComboKind(m) === kind && this.getComboButtons(m).join(',') === key), mode);
+  }
+
+  resolveCombo(kind, buttons, mode) {
+    return this.resolveCombos(kind, buttons, mode)[0] || null;
+  }
+
+  // [{ buttons, mapping }] for each chord (or sequence) that would run in the current mode
+  getActiveCombos(kind) {
+    const mode = this.getCurrentMode();
+    const seen = new Set();
+    const combos = [];
+    this.buttonMappings.forEach((mapping) => {
+      if (this.getComboKind(mapping) !== kind) return;
+      const buttons = this.getComboButtons(mapping);
+      if (buttons.length < 2 || seen.has(buttons.join(','))) return;
+      seen.add(buttons.join(','));
+      const active = this.resolveCombo(kind, buttons, mode);
+      if (active) combos.push({ buttons, mapping: active });
+    });
+    return combos;
+  }
+
+  // carry out a mapping; returns whether it succeeded
+  runMapping(mapping) {
+    // mode navigation is handled by the plugin itself, there is no switch for it
+    if (mapping.actionType === 'mode') {
+      return this.executeModeAction(mapping);
+    }
+    if (mapping.actionType === 'macro') {
+      return this.executeMacro(mapping);
+    }
+    if (mapping.actionType === 'webhook') {
+      return this.executeWebhook(mapping);
+    }
+
+    // trigger the virtual mapping switch if present (preferred flow)
+    const mappingKey = this.getMappingKey(mapping);
+    const vSwitch = this.mappingSwitches[mappingKey];
+    if (vSwitch) {
+      return this.triggerMappingSwitch(vSwitch, mappingKey, mapping); // do not execute direct control when mapping switch exists
+    }
+
+    // fallback legacy behavior (best-effort direct control)
+    if (mapping.actionType === 'scene') {
+      this.log(`Scene action requested: ${mapping.targetName}`);
+      return false;
+    } else if (mapping.actionType === 'led') {
+      return this.executeLedAction(mapping);
+    }
+    return this.executeHomeKitAction(mapping);
+  }
+
+  executeMacro(mapping) {
+    const steps = Array.isArray(mapping.steps) ? mapping.steps : [];
+    // runs are keyed by button (or combination) so pressing it again cancels the run
+    const key = this.getComboKind(mapping) ? this.describeTrigger(mapping) : mapping.buttonNumber;
+    const where = this.getComboKind(mapping) ? key : `button ${key}`;
+    if (steps.length === 0) {
+      this.log(`Macro on ${where} has no steps`);
+      return false;
+    }
+    this.log(`Running macro on ${where} (${steps.length} steps)`);
+    return this.macroRunner.run(key, steps).then((success) => {
+      this.log(`Macro on ${where} ${success ? 'finished' : 'did not complete'}`);
+      return success;
+    });
+  }
+
+  executeWebhook(mapping) {
+    const webhook = mapping.webhook || {};
+    const vars = {
+      button: this.getPressType(mapping) === 'code' ? '' : this.getComboKind(mapping) ? this.getComboButtons(mapping).join('+') : mapping.buttonNumber,
+      pressType: this.getPressType(mapping),
+      mode: this.getCurrentMode(),
+      device: this.name,
+      timestamp: new Date().toISOString()
+    };
+    return callWebhook(webhook, vars, this.log).then((result) => {
+      const target = `${String(webhook.method || 'POST').toUpperCase()} ${webhook.url}`;
+      if (result.ok) this.log(`Webhook ${target} succeeded (HTTP ${result.status})`);
+      else this.log(`Webhook ${target} failed after ${result.attempts} attempt(s): ${result.error}`);
+      return result.ok;
+    });
+  }
+
+  runMacroStep(step, index) {
+    switch (step.type) {
+      case 'accessory':
+        return this.executeHomeKitAction(step);
+      case 'led':
+        return this.executeLedAction(step);
+      case 'mode':
+        return this.executeModeAction(step);
+      case 'switch': {
+        const service = this.pulseSwitches[step.targetName];
+        if (!service) {
+          this.log(`Macro step ${index + 1}: no switch named "${step.targetName}"`);
+          return false;
+        }
+        return this.triggerVirtualSwitch(service, step.targetName, step);
+      }
+      default:
+        this.log(`Macro step ${index + 1}: unknown step type ${step.type}`);
+        return false;
+    }
+  }
+
+  // names of the switches macro "switch" steps pulse, one service each
+  getPulseSwitchNames() {
+    const names = [];
+    this.buttonMappings
+      .filter(mapping => mapping.actionType === 'macro' && Array.isArray(mapping.steps) && !this.mappingProblems.has(mapping))
+      .forEach((mapping) => {
+        mapping.steps.forEach((step) => {
+          if (step.type === 'switch' && step.targetName && !names.includes(step.targetName)) names.push(step.targetName);
+        });
+      });
+    return names;
+  }
+
+  // confirmation animation on the keypad, then back to the mode color
+  playFeedback(mapping, success) {
+    const pattern = mapping.feedbackPattern || this.feedback.pattern;
+    if (pattern === 'none' || !this.connected || this.isShuttingDown) return;
+    if (!LedAnimator.has(pattern)) {
+      this.log(`Unknown feedback pattern: ${pattern}`);
+      return;
+    }
+    const colorValue = success
+      ? mapping.feedbackSuccessColor || this.feedback.successColor
+      : mapping.feedbackFailureColor || this.feedback.failureColor;
+    const color = this.resolveColor(colorValue);
+    if (!color) {
+      this.log(`Unknown feedback color: ${colorValue}`);
+      return;
+    }
+    this.animator.play(pattern, color);
+  }
+
+  // mode name from the palette, or a #RRGGBB hex color
+  resolveColor(value) {
+    const color = this.palette.get(value);
+    if (color) return color;
+    const hex = /^#?([0-9a-f]{6})$/i.exec(String(value || '').trim());
+    if (!hex) return null;
+    const n = parseInt(hex[1], 16);
+    return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+  }
+
+  // LED command from an integration: "RRRGGGBBB", "off", a mode name, "#RRGGBB",
+  // or an { r, g, b } object (also as a JSON string)
+  parseColor(value) {
+    if (value && typeof value === 'object') {
+      const color = { r: value.r, g: value.g, b: value.b };
+      return [color.r, color.g, color.b].every(v => Number.isInteger(v) && v >= 0 && v <= 255) ? color : null;
+    }
+    const s = String(value || '').trim();
+    if (/^\d{9}$/.test(s)) {
+      const color = { r: +s.slice(0, 3), g: +s.slice(3, 6), b: +s.slice(6, 9) };
+      return color.r <= 255 && color.g <= 255 && color.b <= 255 ? color : null;
+    }
+    if (s.toLowerCase() === 'off') return { r: 0, g: 0, b: 0 };
+    if (s[0] === '{') {
+      try {
+        return this.parseColor(JSON.parse(s));
+      } catch (e) {
+        return null;
+      }
+    }
+    return this.resolveColor(s);
+  }
+
+  triggerVirtualSwitch(service, mappingKey, mapping) {
+    try {
+      service.updateCharacteristic(this.api.hap.Characteristic.On, true);
+      this.log(`Triggered virtual switch for mapping ${mappingKey} -> ${mapping.targetName || ''} : ${mapping.action}`);
+      setTimeout(() => {
+        try {
+          service.updateCharacteristic(this.api.hap.Characteristic.On, false);
+        } catch (e) {
+          // ignore
+        }
+      }, this.triggerResetDelay);
+      return true;
+    } catch (e) {
+      this.log(`Error triggering virtual switch ${mappingKey}: ${e.message}`);
+      return false;
+    }
+  }
+
+  // a press on a mapping with a switch: pulse it (momentary), flip it and keep
+  // the state (latching), or control the target and show its new state (mirror)
+  triggerMappingSwitch(service, mappingKey, mapping) {
+    const { On } = this.api.hap.Characteristic;
+    const mode = this.getSwitchMode(mapping);
+    if (mode === 'latching') {
+      const on = !service.getCharacteristic(On).value;
+      service.updateCharacteristic(On, on);
+      this.saveSwitchState(mappingKey, on);
+      this.log(`Turned latching switch for mapping ${mappingKey} ${on ? 'on' : 'off'}`);
+      return this.checkTarget(mapping);
+    }
+    if (mode === 'mirror') {
+      return this.executeHomeKitAction(mapping).then(async (success) => {
+        if (this.mirrorSwitches[mappingKey]) await this.refreshMirrorSwitch(this.mirrorSwitches[mappingKey]);
+        return success;
+      });
+    }
+    if (!this.triggerVirtualSwitch(service, mappingKey, mapping)) return false;
+    return this.checkTarget(mapping);
+  }
+
+  // a momentary or latching switch leaves the target to HomeKit automations, so
+  // the press only fails when the target can't be found; without accessory
+  // control there is nothing to look it up in
+  async checkTarget(mapping) {
+    const hapClient = this.platform.hapClient;
+    if ((mapping.actionType || 'accessory') !== 'accessory' || !hapClient || hapClient.setupError) return true;
+    try {
+      await hapClient.findTarget(mapping);
+      return true;
+    } catch (e) {
+      this.log(`Cannot find "${mapping.targetName}" for mapping ${this.getMappingKey(mapping)}: ${e.message}`);
+      return false;
+    }
+  }
+
+  // 'momentary', 'latching' or 'mirror'; a switchMode that can't be used stays momentary
+  getSwitchMode(mapping) {
+    if (!mapping.switchMode || this.switchModeProblems.has(mapping)) return 'momentary';
+    return String(mapping.switchMode).toLowerCase();
+  }
+
+  getMappingKey(mapping) {
+    // single press keeps the original key so existing switches (and their automations) survive
+    const pressType = this.getPressType(mapping);
+    const suffix = pressType === 'single' ? '' : `-${pressType}`;
+    const target = `${mapping.modeColor}-${mapping.action}-${(mapping.targetName || '').replace(/\s+/g, '_')}`;
+    if (pressType === 'code') return `code-${this.api.hap.uuid.generate(String(mapping.code)).slice(0, 8)}-${target}`; // not the code itself
+    if (this.getComboKind(mapping)) return `${pressType}-${this.getComboButtons(mapping).join('.')}-${target}`;
+    return `btn${mapping.buttonNumber}-${target}${suffix}`;
+  }
+
+  // "B3", "B3 double", "Chord 1+2", "Sequence 1→3" or "Code", for switch names and logs
+  describeTrigger(mapping) {
+    const pressType = this.getPressType(mapping);
+    if (pressType === 'chord') return `Chord ${this.getComboButtons(mapping).join('+')}`;
+    if (pressType === 'sequence') return `Sequence ${this.getComboButtons(mapping).join('→')}`;
+    if (pressType === 'code') return 'Code';
+    return `B${mapping.buttonNumber}${pressType === 'single' ? '' : ` ${pressType}`}`;
+  }
+
+  // mappings the plugin carries out itself get no virtual switch; neither do hold
+  // mappings and accessory mappings beyond plain on/off/toggle, which a momentary
+  // switch can't express, nor mappings that can never fire
+  hasMappingSwitch(mapping) {
+    if (this.mappingProblems.has(mapping)) return false;
+    if (this.getPressType(mapping) === 'hold') return false;
+    if ((mapping.actionType || 'accessory') === 'accessory' &&
+      (mapping.serviceType || mapping.characteristic || !['on', 'off', 'toggle'].includes(mapping.action))) return false;
+    return !['mode', 'macro', 'webhook'].includes(mapping.actionType);
+  }
+
+  getPressType(mapping) {
+    return mapping.pressType || 'single';
+  }
+
+  // -------------------------
+  // LED / color helpers
+  // -------------------------
+  cycleLEDColor() {
+    this.log('Mode button pressed');
+    this.stepMode(1);
+  }
+
+  // move `step` modes along the cycle (negative steps go backwards)
+  stepMode(step) {
+    const cycle = this.palette.cycle;
+    if (cycle.length === 0) {
+      this.log('No modes in the cycle');
+      return false;
+    }
+    // step from the mode the LED actually shows, not a remembered index
+    return this.setMode(this.palette.next(this.getCurrentMode(), step));
+  }
+
+  setMode(name) {
+    const modeName = String(name || '').toLowerCase();
+    const color = this.palette.get(modeName);
+    if (!color) {
+      this.log(`Unknown mode: ${name}`);
+      return false;
+    }
+    this.log(`Switching to ${modeName} mode (${color.r},${color.g},${color.b})`);
+    this.setLED(color.r, color.g, color.b);
+    return true;
+  }
+
+  executeModeAction(action) {
+    switch (action.action) {
+      case 'next':
+        return this.stepMode(1);
+      case 'previous':
+        return this.stepMode(-1);
+      case 'set':
+        return this.setMode(action.targetMode);
+      case 'default':
+        return this.setMode(this.defaultMode);
+      default:
+        this.log(`Unknown mode action: ${action.action}`);
+        return false;
+    }
+  }
+
+  // revert to the default mode after modeTimeout seconds without presses
+  restartModeTimer() {
+    if (this.modeTimer) clearTimeout(this.modeTimer);
+    this.modeTimer = null;
+    if (!this.modeTimeout || !this.defaultMode) return;
+    this.modeTimer = setTimeout(() => {
+      this.modeTimer = null;
+      if (this.isShuttingDown || this.getCurrentMode() === this.defaultMode) return;
+      this.log(`No presses for ${this.modeTimeout}s, returning to ${this.defaultMode} mode`);
+      this.setMode(this.defaultMode);
+    }, this.modeTimeout * 1000);
+  }
+
+  getCurrentMode() {
+    return this.palette.match(this.ledColor);
+  }
+
+  executeLedAction(action) {
+    if (!action.ledColor) return false;
+    const colorName = action.ledColor.toLowerCase();
+    const color = this.palette.get(colorName);
+    if (!color) {
+      this.log(`Unknown color name: ${action.ledColor}`);
+      return false;
+    }
+    this.setLED(color.r, color.g, color.b);
+    this.log(`Set LED to ${colorName}`);
+    return true;
+  }
+
+  // -------------------------
+  // HomeKit control helpers
+  // -------------------------
+  // drive a characteristic on another accessory (On by default) through the bridge's HAP server
+  async executeHomeKitAction(action) {
+    if (!action.targetName) {
+      this.log('No accessory specified for action');
+      return false;
+    }
+    const hapClient = this.platform.hapClient;
+    if (!hapClient) {
+      this.log(`Cannot control "${action.targetName}": accessory control is not available`);
+      return false;
+    }
+
+    try {
+      const target = await hapClient.findTarget(action);
+      const current = await hapClient.read(target);
+      const value = computeValue(target.characteristic, current, action);
+      if (value === undefined) return true; // already there (e.g. at the end of its range)
+      await hapClient.write(target, value);
+      this.log(`Set ${target.label} to ${value}`);
+      return true;
+    } catch (e) {
+      this.log(`Cannot ${action.action} "${action.targetName}": ${e.message}`);
+      return false;
+    }
+  }
+
+  // -------------------------
+  // iPort LED commands
+  // -------------------------
+  // change the LED (mode) color; while disconnected the change is held and
+  // sent on reconnect. Returns false when it could not be sent or queued.
+  setLED(r, g, b) {
+    if (this.isShuttingDown) return false;
+    this.animator.stop(); // a real color change wins over feedback
+    if (!this.writeLED(r, g, b, { buffer: true })) {
+      this.log('LED command queue is full, dropping LED change');
+      return false;
+    }
+    if (!this.connected) this.log('Keypad is offline, the LED change will be sent when it reconnects');
+    this.setLedState({ r, g, b });
+    return true;
+  }
+
+  // record the LED (mode) color and notify listeners when it actually changed
+  setLedState(color) {
+    const previous = this.ledColor;
+    const wasKnown = this.ledKnown;
+    this.ledColor = color;
+    this.ledKnown = true;
+    this.updateModeSwitches();
+    if (!wasKnown || previous.r !== color.r || previous.g !== color.g || previous.b !== color.b) {
+      this.saveState({ mode: this.getCurrentMode(), led: { r: color.r, g: color.g, b: color.b } });
+      this.emit('led', color, this.getCurrentMode());
+    }
+  }
+
+  // merge into the saved state (mode, LED color, latching switch states)
+  saveState(changes) {
+    if (!this.stateStore) return;
+    this.stateStore.set(this.id, Object.assign({}, this.stateStore.get(this.id), changes));
+  }
+
+  saveSwitchState(mappingKey, on) {
+    const saved = this.stateStore && this.stateStore.get(this.id);
+    this.saveState({ switches: Object.assign({}, saved && saved.switches, { [mappingKey]: on }) });
+  }
+
+  // raw LED write; does not change the mode color (used by animations)
+  writeLED(r, g, b, { buffer = false } = {}) {
+    if (this.isShuttingDown) return false;
+    const cmd = `\r${this.model.ledCommand(r, g, b)}\r`;
+    return this.writer.send(cmd, { key: 'led', buffer });
+  }
+
+  queryLED() {
+    if (!this.connected || this.isShuttingDown || this.animator.active) return;
+    this.writer.send(`\r${this.model.ledQuery}\r`, { key: 'query' }); // silent query
+  }
+
+  // HomeKit writes Hue, Saturation and Brightness as separate characteristics;
+  // collect the ones that arrive together and turn them into a single color
+  setHsvComponent(component, value) {
+    if (!this.connected) throw new Error('Device not connected');
+    this.pendingHsv = Object.assign(this.pendingHsv || {}, { [component]: value });
+    if (this.hsvTimer) return;
+    this.hsvTimer = setTimeout(() => {
+      this.hsvTimer = null;
+      const pending = this.pendingHsv;
+      this.pendingHsv = null;
+      const current = this.rgbToHsv(this.ledColor.r, this.ledColor.g, this.ledColor.b);
+      const Characteristic = this.api.hap.Characteristic;
+      const value = (key, characteristic) => {
+        if (pending[key] !== undefined) return pending[key];
+        // a dark LED has no hue/saturation of its own; keep what HomeKit shows
+        return current.v === 0 ? this.lightService.getCharacteristic(characteristic).value : current[key];
+      };
+      const { r, g, b } = this.hsvToRgb(value('h', Characteristic.Hue), value('s', Characteristic.Saturation), value('v', Characteristic.Brightness));
+      this.setLED(r, g, b);
+    }, HSV_SETTLE_DELAY);
+  }
+
+  // update HomeKit light characteristics silently
+  updateLightCharacteristics() {
+    if (!this.lightService || !this.connected || this.isShuttingDown) return;
+    const hsv = this.rgbToHsv(this.ledColor.r, this.ledColor.g, this.ledColor.b);
+    try {
+      this.lightService
+        .updateCharacteristic(this.api.hap.Characteristic.On, hsv.v > 0)
+        .updateCharacteristic(this.api.hap.Characteristic.Hue, hsv.h)
+        .updateCharacteristic(this.api.hap.Characteristic.Saturation, hsv.s)
+        .updateCharacteristic(this.api.hap.Characteristic.Brightness, hsv.v);
+    } catch (e) {
+      // ignore characteristic update errors
+    }
+  }
+
+  // contact closed + no fault while connected; open + fault while not
+  updateConnectionService() {
+    if (!this.connectionService) return;
+    const { Characteristic } = this.api.hap;
+    try {
+      this.connectionService.updateCharacteristic(Characteristic.ContactSensorState, this.connected ? 0 : 1);
+      this.connectionService.updateCharacteristic(Characteristic.StatusFault, this.connected ? 0 : 1);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  // reflect the active mode on the mode switches; only pushes to HomeKit when
+  // the mode actually changed, so the 5s LED polling doesn't spam events
+  updateModeSwitches(force = false) {
+    if (!this.exposeModeSwitches || this.isShuttingDown) return;
+    const mode = this.getCurrentMode();
+    if (!force && mode === this.reportedMode) return;
+    this.reportedMode = mode;
+    Object.keys(this.modeSwitches).forEach((name) => {
+      try {
+        this.modeSwitches[name].updateCharacteristic(this.api.hap.Characteristic.On, name === mode);
+      } catch (e) {
+        // ignore characteristic update errors
+      }
+    });
+  }
+
+  // -------------------------
+  // Diagnostics (HTTP API)
+  // -------------------------
+  getStatus() {
+    return {
+      id: this.id,
+      name: this.name,
+      ip: this.ip,
+      port: this.port,
+      model: this.model.name,
+      connected: this.connected,
+      mode: this.getCurrentMode(),
+      led: Object.assign({}, this.ledColor),
+      lastRawData: this.lastRawData,
+      queuedEvents: this.eventQueue.length,
+      buttons: this.buttonStates.map((bs, index) => ({ button: index + 1, pressed: bs.state === 1, pendingClicks: bs.clicks })),
+      runningMacros: Array.from(this.macroRunner.running.keys())
+    };
+  }
+
+  // every mapping with how it resolves: its switch, and whether a press would run it right now
+  getMappingTable() {
+    const mode = this.getCurrentMode();
+    return this.buttonMappings.map((mapping, index) => {
+      const pressType = this.getPressType(mapping);
+      const kind = this.getComboKind(mapping);
+      const shadowed = Boolean(this.modeButton) && mapping.buttonNumber === this.modeButton && pressType === 'single';
+      const key = this.hasMappingSwitch(mapping) ? this.getMappingKey(mapping) : null;
+      const active = kind
+        ? this.resolveCombo(kind, this.getComboButtons(mapping), mode)
+        : this.resolveMapping(mapping.buttonNumber, pressType, mode);
+      return {
+        index,
+        buttonNumber: mapping.buttonNumber,
+        buttons: kind && pressType !== 'code' ? this.getComboButtons(mapping) : undefined,
+        pressType,
+        modeColor: mapping.modeColor,
+        actionType: mapping.actionType,
+        action: mapping.action,
+        targetName: mapping.targetName,
+        switchKey: key,
+        hasSwitch: Boolean(key && this.mappingSwitches[key]),
+        switchMode: key ? this.getSwitchMode(mapping) : null,
+        shadowedByModeButton: shadowed,
+        problems: this.mappingProblems.get(mapping) || [],
+        activeNow: !shadowed && active === mapping
+      };
+    });
+  }
+
+  // replay a press through the normal state machine (key down/up frames)
+  simulatePress(buttonNumber, pressType = 'single') {
+    const index = buttonNumber - 1;
+    const tap = () => {
+      this.handleButtonEvent(index, 1);
+      this.handleButtonEvent(index, 0);
+    };
+    if (pressType === 'double') {
+      tap();
+      tap();
+      return Promise.resolve();
+    }
+    if (pressType === 'long') {
+      this.handleButtonEvent(index, 1);
+      const hold = this.getButtonTiming(buttonNumber).longPressThreshold + 20;
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          this.handleButtonEvent(index, 0);
+          resolve();
+        }, hold);
+      });
+    }
+    tap();
+    return Promise.resolve();
+  }
+
+  // -------------------------
+  // Color math helpers
+  // -------------------------
+  rgbToHsv(r, g, b) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b), min = Math.min(r, g, b), v = max, d = max - min;
+    const s = max === 0 ? 0 : d / max;
+    let h;
+    if (max === min) h = 0;
+    else {
+      switch (max) {
+        case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+        case g: h = (b - r) / d + 2; break;
+        case b: h = (r - g) / d + 4; break;
+      }
+      h /= 6;
+    }
+    return { h: h * 360, s: s * 100, v: v * 100 };
+  }
+
+  hsvToRgb(h, s, v) {
+    h /= 360; s /= 100; v /= 100;
+    const i = Math.floor(h * 6), f = h * 6 - i;
+    const p = v * (1 - s), q = v * (1 - f * s), t = v * (1 - (1 - f) * s);
+    let r, g, b;
+    switch (i % 6) {
+      case 0: r = v; g = t; b = p; break;
+      case 1: r = q; g = v; b = p; break;
+      case 2: r = p; g = v; b = t; break;
+      case 3: r = p; g = q; b = v; break;
+      case 4: r = t; g = p; b = v; break;
+      case 5: r = v; g = p; b = q; break;
+    }
+    return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
+  }
+
+  // -------------------------
+  // Accessories creation
+  // -------------------------
+  // Build the accessory, or reconcile the cached one restored by configureAccessory.
+  // Reusing the cached accessory keeps service identities (and the HomeKit
+  // automations bound to them) stable: missing services are added, services
+  // no longer backed by the config are removed. Only a brand new accessory is
+  // handed to the callback for registration.
+  accessories(callback) {
+    this.log('Starting accessories setup');
+    try {
+      const PlatformAccessory = this.api.platformAccessory;
+      if (!PlatformAccessory) {
+        throw new Error('PlatformAccessory is not available from API (api.platformAccessory is undefined)');
+      }
+
+      if (!this.api.hap.Service || !this.api.hap.Characteristic || !this.api.hap.uuid) {
+        throw new Error(`Required HAP classes are undefined`);
+      }
+
+      const isNew = !this.accessory;
+      if (isNew) {
+        this.accessory = new PlatformAccessory(this.name, this.uuid);
+      } else {
+        this.log('Reconciling cached accessory with current config');
+      }
+      this.expectedServices = new Set();
+
+      // ServiceLabel (optional)
+      if (this.api.hap.Service.ServiceLabel) {
+        this.ensureService(this.api.hap.Service.ServiceLabel)
+          .setCharacteristic(this.api.hap.Characteristic.ServiceLabelNamespace, 1);
+      }
+
+      // --- physical stateless button services (as many as the model has) ---
+      this.buttonServices = [];
+      for (let i = 1; i <= this.model.buttons; i++) {
+        const buttonService = this.ensureService(this.api.hap.Service.StatelessProgrammableSwitch, `Button ${i}`, `button${i}`);
+        if (this.api.hap.Characteristic.ServiceLabelIndex) {
+          buttonService.setCharacteristic(this.api.hap.Characteristic.ServiceLabelIndex, i);
+        }
+        this.buttonServices[i - 1] = buttonService;
+      }
+
+      // --- LED Light service ---
+      this.lightService = this.ensureService(this.api.hap.Service.Lightbulb, 'LED');
+      if (isNew) this.lightService.setCharacteristic(this.api.hap.Characteristic.On, true);
+
+      // On / Brightness / Hue / Saturation handlers (kept as before)
+      this.lightService.getCharacteristic(this.api.hap.Characteristic.On)
+        .onGet(() => {
+          if (!this.connected) throw new Error('Device not connected');
+          return this.rgbToHsv(this.ledColor.r, this.ledColor.g, this.ledColor.b).v > 0;
+        })
+        .onSet((value) => {
+          if (!this.connected) throw new Error('Device not connected');
+          if (value && this.ledColor.r === 0 && this.ledColor.g === 0 && this.ledColor.b === 0) {
+            this.setLED(255, 255, 255);
+          } else if (!value) {
+            this.setLED(0, 0, 0);
+          }
+        });
+
+      this.lightService.getCharacteristic(this.api.hap.Characteristic.Brightness)
+        .onGet(() => {
+          if (!this.connected) throw new Error('Device not connected');
+          return this.rgbToHsv(this.ledColor.r, this.ledColor.g, this.ledColor.b).v;
+        })
+        .onSet(value => this.setHsvComponent('v', value));
+
+      this.lightService.getCharacteristic(this.api.hap.Characteristic.Hue)
+        .onGet(() => {
+          if (!this.connected) throw new Error('Device not connected');
+          return this.rgbToHsv(this.ledColor.r, this.ledColor.g, this.ledColor.b).h;
+        })
+        .onSet(value => this.setHsvComponent('h', value));
+
+      this.lightService.getCharacteristic(this.api.hap.Characteristic.Saturation)
+        .onGet(() => {
+          if (!this.connected) throw new Error('Device not connected');
+          return this.rgbToHsv(this.ledColor.r, this.ledColor.g, this.ledColor.b).s;
+        })
+        .onSet(value => this.setHsvComponent('s', value));
+
+      // the device may have reported its LED before the service existed
+      this.updateLightCharacteristics();
+
+      // --- Virtual mapping Switches (one per mapping) ---
+      this.mappingSwitches = {};
+      this.mirrorSwitches = {};
+      this.buttonMappings.forEach((mapping) => {
+        if (!this.hasMappingSwitch(mapping)) return;
+        const key = this.getMappingKey(mapping);
+        if (this.mappingSwitches[key]) return; // identical mapping listed twice
+        const svcName = `${this.describeTrigger(mapping)} [${mapping.modeColor}] → ${mapping.action} ${mapping.targetName || ''}`;
+        const vSwitch = this.ensureService(this.api.hap.Service.Switch, svcName, key);
+        this.bindMappingSwitch(vSwitch, key, mapping);
+
+        // store by subtype (mapping key)
+        this.mappingSwitches[key] = vSwitch;
+      });
+      if (this.mirrorTimer) clearInterval(this.mirrorTimer);
+      this.mirrorTimer = null;
+      if (Object.keys(this.mirrorSwitches).length > 0) {
+        this.refreshMirrorSwitches();
+        this.mirrorTimer = setInterval(() => this.refreshMirrorSwitches(), MIRROR_POLL_INTERVAL);
+      }
+
+      // --- Pulse switches for macro "switch" steps ---
+      this.pulseSwitches = {};
+      this.getPulseSwitchNames().forEach((name) => {
+        const pulseSwitch = this.ensureService(this.api.hap.Service.Switch, name, `pulse-${name.replace(/\s+/g, '_')}`);
+        this.bindMomentarySwitch(pulseSwitch);
+        this.pulseSwitches[name] = pulseSwitch;
+      });
+
+      // --- Mode switches (one per mode, exactly one on) ---
+      this.modeSwitches = {};
+      if (this.exposeModeSwitches) {
+        this.palette.names().forEach((name) => {
+          const modeSwitch = this.ensureService(this.api.hap.Service.Switch, `${name.charAt(0).toUpperCase()}${name.slice(1)} Mode`, `mode-${name}`);
+          modeSwitch.getCharacteristic(this.api.hap.Characteristic.On)
+            .onGet(() => this.getCurrentMode() === name)
+            .onSet((value) => {
+              if (!this.connected) throw new Error('Device not connected');
+              if (value) {
+                this.setMode(name);
+              } else if (this.getCurrentMode() === name && name !== this.defaultMode) {
+                // switching the active mode off falls back to the default mode
+                this.setMode(this.defaultMode);
+              }
+              // keep the switches exclusive once HomeKit has applied this write
+              setTimeout(() => this.updateModeSwitches(true), 0);
+            });
+          this.modeSwitches[name] = modeSwitch;
+        });
+        this.updateModeSwitches(true);
+      }
+
+      // --- Held sensors (active while their button is down) ---
+      this.heldSensors = {};
+      Object.keys(this.heldSensorTypes).forEach((buttonNumber) => {
+        const type = this.heldSensorTypes[buttonNumber];
+        const serviceType = type === 'contact' ? this.api.hap.Service.ContactSensor : this.api.hap.Service.OccupancySensor;
+        const service = this.ensureService(serviceType, `Button ${buttonNumber} Held`, `held${buttonNumber}`);
+        this.heldSensors[buttonNumber] = { type, service };
+        this.updateHeldSensor(Number(buttonNumber), this.buttonStates[buttonNumber - 1].state === 1);
+      });
+
+      // --- Connectivity indicator (updateReachability is a no-op on modern Homebridge) ---
+      this.connectionService = null;
+      if (this.exposeConnectionSensor) {
+        this.connectionService = this.ensureService(this.api.hap.Service.ContactSensor, 'Connection', 'connection');
+        this.updateConnectionService();
+      }
+
+      this.pruneServices();
+
+      if (this.accessory.updateReachability) this.accessory.updateReachability(this.connected);
+      this.log(`Accessories setup completed: ${this.buttonServices.length} buttons, ${Object.keys(this.mappingSwitches).length} mapping switches`);
+      this.processQueuedEvents();
+
+      if (isNew) {
+        callback([this.accessory]);
+      } else {
+        this.api.updatePlatformAccessories([this.accessory]);
+        callback([]);
+      }
+    } catch (e) {
+      this.log(`Error in accessories setup: ${e.message}`);
+      callback([]);
+    }
+  }
+
+  // a mapping switch per its switchMode: momentary pulses, latching keeps whatever it is
+  // set to (across restarts too), mirror shows its target's On state and sets it
+  bindMappingSwitch(service, key, mapping) {
+    const { On } = this.api.hap.Characteristic;
+    const mode = this.getSwitchMode(mapping);
+    if (mode === 'latching') {
+      const saved = this.stateStore && this.stateStore.get(this.id);
+      try { service.updateCharacteristic(On, Boolean(saved && saved.switches && saved.switches[key])); } catch (e) {}
+      service.getCharacteristic(On).onSet(value => this.saveSwitchState(key, Boolean(value)));
+    } else if (mode === 'mirror') {
+      this.mirrorSwitches[key] = { service, mapping, error: null };
+      service.getCharacteristic(On)
+        .onGet(() => {
+          this.refreshMirrorSwitches(); // answers with the last known state, updates follow
+          return Boolean(service.getCharacteristic(On).value);
+        })
+        .onSet(async (value) => {
+          if (!await this.executeHomeKitAction(Object.assign({}, mapping, { action: value ? 'on' : 'off' }))) {
+            throw new Error(`Cannot switch "${mapping.targetName}" ${value ? 'on' : 'off'}`);
+          }
+        });
+    } else {
+      this.bindMomentarySwitch(service);
+    }
+  }
+
+  // read the target of every mirror switch (one refresh at a time)
+  refreshMirrorSwitches() {
+    if (!this.mirrorRefresh) {
+      const entries = Object.values(this.mirrorSwitches);
+      this.mirrorRefresh = Promise.all(entries.map(entry => this.refreshMirrorSwitch(entry))).then(() => {
+        this.mirrorRefresh = null;
+      });
+    }
+    return this.mirrorRefresh;
+  }
+
+  async refreshMirrorSwitch(entry) {
+    const hapClient = this.platform.hapClient;
+    if (!hapClient || this.isShuttingDown) return;
+    const { targetName } = entry.mapping;
+    try {
+      const value = await hapClient.read(await hapClient.findTarget({ targetName, characteristic: 'On' }));
+      const on = value === true || Number(value) > 0;
+      if (entry.service.getCharacteristic(this.api.hap.Characteristic.On).value !== on) {
+        entry.service.updateCharacteristic(this.api.hap.Characteristic.On, on);
+      }
+      entry.error = null;
+    } catch (e) {
+      // polled, so only report when the reason changes
+      if (entry.error !== e.message) this.log(`Cannot mirror "${targetName}" on its mapping switch: ${e.message}`);
+      entry.error = e.message;
+    }
+  }
+
+  // occupancy detected, or contact open, while the button is down
+  updateHeldSensor(buttonNumber, held) {
+    const sensor = this.heldSensors[buttonNumber];
+    if (!sensor) return;
+    const { Characteristic } = this.api.hap;
+    try {
+      if (sensor.type === 'contact') sensor.service.updateCharacteristic(Characteristic.ContactSensorState, held ? 1 : 0);
+      else sensor.service.updateCharacteristic(Characteristic.OccupancyDetected, held ? 1 : 0);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  // switch that is only ever on for a moment: starts off and auto-resets if toggled in the Home app
+  bindMomentarySwitch(service) {
+    try { service.updateCharacteristic(this.api.hap.Characteristic.On, false); } catch (e) {}
+    service.getCharacteristic(this.api.hap.Characteristic.On).onSet((value) => {
+      if (value) {
+        setTimeout(() => {
+          try { service.updateCharacteristic(this.api.hap.Characteristic.On, false); } catch (e) {}
+        }, this.triggerResetDelay);
+      }
+    });
+  }
+
+  // get a service from the accessory (by subtype when given), adding it if missing,
+  // and mark it as wanted so pruneServices keeps it
+  ensureService(type, name, subtype) {
+    let service = subtype ? this.accessory.getServiceById(type, subtype) : this.accessory.getService(type);
+    if (!service) {
+      service = this.accessory.addService(type, name, subtype);
+      this.log(`Added service ${name || type.name}`);
+    }
+    this.expectedServices.add(service);
+    return service;
+  }
+
+  // drop services left over from an older config (e.g. edited or deleted mappings)
+  pruneServices() {
+    const infoUUID = this.api.hap.Service.AccessoryInformation && this.api.hap.Service.AccessoryInformation.UUID;
+    this.accessory.services
+      .filter(service => service.UUID !== infoUUID && !this.expectedServices.has(service))
+      .forEach((service) => {
+        this.accessory.removeService(service);
+        this.log(`Removed stale service ${service.displayName}`);
+      });
+  }
+
+  // restore cached accessory on startup
+  configureAccessory(accessory) {
+    this.log('Configuring cached accessory');
+    try {
+      this.accessory = accessory;
+      if (this.accessory.updateReachability) this.accessory.updateReachability(this.connected);
+
+      this.buttonServices = [];
+      this.mappingSwitches = {};
+
+      accessory.services.forEach(service => {
+        // physical buttons subtypes should be 'buttonX'
+        if (service.subtype?.startsWith('button')) {
+          const index = parseInt(service.subtype.replace('button', '')) - 1;
+          this.buttonServices[index] = service;
+        } else if (service.displayName === 'LED' && service.UUID === this.api.hap.Service.Lightbulb.UUID) {
+          this.lightService = service;
+        } else if (service.UUID === this.api.hap.Service.Switch.UUID && service.subtype && service.subtype.startsWith('btn')) {
+          // mapping virtual switches use subtype = mappingKey
+          this.mappingSwitches[service.subtype] = service;
+          // ensure they are off initially
+          try { service.updateCharacteristic(this.api.hap.Characteristic.On, false); } catch (e) {}
+        }
+      });
+
+      this.log(`Restored ${this.buttonServices.length} button services and ${Object.keys(this.mappingSwitches).length} mapping switches`);
+      this.processQueuedEvents();
+    } catch (e) {
+      this.log(`Error in configureAccessory: ${e.message}`);
+    }
+  }
+}
+
+module.exports = IPortDevice;
@@ -0,0 +1,37 @@
+// Homebridge Config UI X looks for `.<plugin-name>-v1.schema.json` in the
+// Homebridge storage path and, when present, uses it instead of the bundled
+// config.schema.json. We write one with the mode enums built from the user's
+// palette so the settings form offers their own mode names, and button numbers
+// limited to what the configured keypads have.
+
+const fs = require('fs');
+const path = require('path');
+
+const PLUGIN_NAME = 'homebridge-iport-sm-buttons';
+
+function buildSchema(modeNames, maxButtons) {
+  const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.schema.json'), 'utf8'));
+  const mapping = schema.schema.definitions.buttonMapping.properties;
+  mapping.modeColor.enum = modeNames.concat('any');
+  mapping.ledColor.enum = modeNames.slice();
+  mapping.targetMode.enum = modeNames.slice();
+  schema.schema.properties.defaultMode.enum = modeNames.slice();
+  const step = schema.schema.definitions.macroStep.properties;
+  step.ledColor.enum = modeNames.slice();
+  step.targetMode.enum = modeNames.slice();
+  if (maxButtons) {
+    mapping.buttonNumber.maximum = maxButtons;
+    mapping.buttons.items.maximum = maxButtons;
+    schema.schema.definitions.buttonTiming.properties.buttonNumber.maximum = maxButtons;
+    schema.schema.properties.modeButton.maximum = maxButtons;
+  }
+  return schema;
+}
+
+function writeDynamicSchema(storagePath, modeNames, maxButtons) {
+  const file = path.join(storagePath, `.${PLUGIN_NAME}-v1.schema.json`);
+  fs.writeFileSync(file, JSON.stringify(buildSchema(modeNames, maxButtons), null, 2));
+  return file;
+}
+
+module.exports = { buildSchema, writeDynamicSchema };
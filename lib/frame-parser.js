@@ -0,0 +1,147 @@
+// Buffered parser for the iPort TCP stream.
+//
+// TCP gives no message boundaries: one chunk may hold half a JSON event or
+// several messages at once. Text replies ("led=<color>", bare 9-digit RGB)
+// end at CR or LF; JSON objects end at their matching closing brace and may
+// follow each other with no delimiter at all. LED colors are passed on as
+// sent; the model profile reads them (ModelProfile#parseLed).
+
+const DEFAULT_MAX_BUFFER = 64 * 1024;
+const DEFAULT_FLUSH_TIMEOUT = 100; // ms
+
+class FrameParser {
+  // handlers: { onJson(obj, raw), onLed(value, raw), onUnknown(raw), onFrame(raw), onError(err, raw) }
+  // onError also receives errors thrown by the other handlers
+  constructor(handlers = {}, options = {}) {
+    this.handlers = handlers;
+    this.maxBufferSize = options.maxBufferSize || DEFAULT_MAX_BUFFER;
+    // unterminated text is dispatched after this idle time (0 = wait for a delimiter)
+    this.flushTimeout = typeof options.flushTimeout === 'number' ? options.flushTimeout : DEFAULT_FLUSH_TIMEOUT;
+    this.buffer = '';
+    this.flushTimer = null;
+  }
+
+  push(chunk) {
+    this.clearFlushTimer();
+    this.buffer += chunk.toString();
+    this.drain();
+
+    if (this.buffer.length > this.maxBufferSize) {
+      const dropped = this.buffer;
+      this.buffer = '';
+      this.emit('onError', new Error(`Frame exceeds ${this.maxBufferSize} bytes, discarding buffer`), dropped);
+      return;
+    }
+
+    // a trailing text frame without CR/LF: give the rest a moment to arrive
+    if (this.buffer && this.buffer[0] !== '{' && this.flushTimeout > 0) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushTimeout);
+      if (this.flushTimer.unref) this.flushTimer.unref();
+    }
+  }
+
+  // dispatch whatever text is left in the buffer; incomplete JSON is kept
+  flush() {
+    this.clearFlushTimer();
+    if (!this.buffer || this.buffer[0] === '{') return;
+    const frame = this.buffer.trim();
+    this.buffer = '';
+    if (frame) this.dispatch(frame);
+  }
+
+  reset() {
+    this.clearFlushTimer();
+    this.buffer = '';
+  }
+
+  clearFlushTimer() {
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  drain() {
+    for (;;) {
+      this.buffer = this.buffer.replace(/^\s+/, '');
+      if (!this.buffer) return;
+
+      let frame;
+      if (this.buffer[0] === '{') {
+        const end = findJsonEnd(this.buffer);
+        if (end === -1) return; // partial JSON, wait for more
+        frame = this.buffer.slice(0, end + 1);
+        this.buffer = this.buffer.slice(end + 1);
+      } else {
+        // text ends at CR/LF, or where a JSON object starts
+        const end = this.buffer.search(/[\r\n{]/);
+        if (end === -1) return; // partial text, wait for more (or flush)
+        frame = this.buffer.slice(0, end).trim();
+        this.buffer = this.buffer.slice(end);
+      }
+
+      if (frame) this.dispatch(frame);
+    }
+  }
+
+  dispatch(frame) {
+    this.emit('onFrame', frame);
+
+    if (frame[0] === '{') {
+      let json;
+      try {
+        json = JSON.parse(frame);
+      } catch (e) {
+        this.emit('onError', e, frame);
+        return;
+      }
+      this.emit('onJson', json, frame);
+    } else if (frame.includes('led=')) {
+      const value = frame.split('led=')[1].trim();
+      if (value && value !== '?') this.emit('onLed', value, frame);
+    } else if (/^\d{9}$/.test(frame)) {
+      this.emit('onLed', frame, frame);
+    } else {
+      this.emit('onUnknown', frame);
+    }
+  }
+
+  // a throwing handler is reported like a bad frame, so it can't escape into the
+  // caller's 'data' listener and parsing carries on with the next frame
+  emit(name, ...args) {
+    const handler = this.handlers[name];
+    if (typeof handler !== 'function') return;
+    if (name === 'onError') {
+      handler(...args);
+      return;
+    }
+    try {
+      handler(...args);
+    } catch (err) {
+      this.emit('onError', err, args[args.length - 1]);
+    }
+  }
+}
+
+// index of the brace closing the object that starts at 0, or -1 if incomplete
+function findJsonEnd(str) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+module.exports = FrameParser;
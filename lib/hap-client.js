@@ -0,0 +1,130 @@
+// Finds and controls other accessories through Homebridge's own HAP server.
+//
+// Homebridge gives plugins no supported way to reach accessories published by
+// other plugins. Its insecure mode (`homebridge -I`, the "Insecure Mode"
+// setting in Config UI X) does let local clients use the HAP HTTP endpoints
+// with the bridge PIN as the Authorization header; Config UI X's accessory
+// control works the same way. Bridge ports and PINs are read from Homebridge's
+// config.json: the main bridge plus any child bridge that has a fixed port.
+// A `hap` block in the platform config ({ host, port, pin }) overrides that.
+
+const fs = require('fs');
+const http = require('http');
+const { findTarget } = require('./accessory-control');
+
+const CACHE_TTL = 60000;
+const REQUEST_TIMEOUT = 5000;
+const INSECURE_HINT = 'Homebridge must run in insecure mode (-I, or "Insecure Mode" in Config UI X) for the keypad to control other accessories';
+
+class HapClient {
+  // bridges: [{ name, port, pin }]
+  constructor(bridges, hap, options = {}) {
+    this.bridges = bridges;
+    this.hap = hap;
+    this.host = options.host || '127.0.0.1';
+    this.setupError = options.setupError || null;
+    this.accessories = null; // [{ bridge, aid, services }]
+    this.fetchedAt = 0;
+  }
+
+  static fromHomebridge(api, overrides = {}) {
+    const configPath = api.user && typeof api.user.configPath === 'function' ? api.user.configPath() : null;
+    return HapClient.fromConfigFile(configPath, api.hap, overrides);
+  }
+
+  // also used by the settings page, which has Homebridge's config path but no API
+  static fromConfigFile(configPath, hap, overrides = {}) {
+    if (overrides.port) {
+      return new HapClient([{ name: 'configured bridge', port: overrides.port, pin: overrides.pin }], hap, { host: overrides.host });
+    }
+    try {
+      if (!configPath) throw new Error('Homebridge does not expose its config path');
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      const bridges = [];
+      if (config.bridge && config.bridge.port) {
+        bridges.push({ name: config.bridge.name || 'Homebridge', port: config.bridge.port, pin: config.bridge.pin });
+      }
+      (config.platforms || []).concat(config.accessories || []).forEach((entry) => {
+        const child = entry && entry._bridge;
+        if (child && child.port) bridges.push({ name: child.name || entry.name || entry.platform || entry.accessory, port: child.port, pin: child.pin || (config.bridge && config.bridge.pin) });
+      });
+      if (bridges.length === 0) throw new Error('no bridge port found in config.json');
+      return new HapClient(bridges, hap, { host: overrides.host });
+    } catch (e) {
+      return new HapClient([], hap, { setupError: `cannot locate the Homebridge bridge (${e.message}); set hap.port and hap.pin` });
+    }
+  }
+
+  // accessory + service + characteristic for a mapping; refreshes the cached list once on a miss
+  async findTarget(spec) {
+    const accessories = await this.getAccessories();
+    try {
+      return findTarget(accessories, spec, this.hap);
+    } catch (e) {
+      if (Date.now() - this.fetchedAt < 1000) throw e;
+      return findTarget(await this.getAccessories(true), spec, this.hap);
+    }
+  }
+
+  async getAccessories(refresh = false) {
+    if (this.setupError) throw new Error(this.setupError);
+    if (!refresh && this.accessories && Date.now() - this.fetchedAt < CACHE_TTL) return this.accessories;
+
+    const errors = [];
+    const lists = await Promise.all(this.bridges.map(bridge => this.request(bridge, 'GET', '/accessories')
+      .then(res => (res.accessories || []).map(acc => Object.assign({ bridge }, acc)))
+      .catch((e) => {
+        errors.push(`${bridge.name} (port ${bridge.port}): ${e.message}`);
+        return [];
+      })));
+    if (errors.length === this.bridges.length) throw new Error(`accessory lookup failed: ${errors.join('; ')}`);
+    this.accessories = [].concat(...lists);
+    this.fetchedAt = Date.now();
+    return this.accessories;
+  }
+
+  async read(target) {
+    const id = `${target.accessory.aid}.${target.characteristic.iid}`;
+    const res = await this.request(target.accessory.bridge, 'GET', `/characteristics?id=${id}`);
+    const entry = (res.characteristics || [])[0];
+    if (!entry || entry.status) throw new Error(`reading ${target.label} failed (HAP status ${entry ? entry.status : 'missing'})`);
+    return entry.value;
+  }
+
+  async write(target, value) {
+    const body = { characteristics: [{ aid: target.accessory.aid, iid: target.characteristic.iid, value }] };
+    const res = await this.request(target.accessory.bridge, 'PUT', '/characteristics', body);
+    const failed = res && (res.characteristics || []).find(c => c.status);
+    if (failed) throw new Error(`writing ${target.label} failed (HAP status ${failed.status})`);
+  }
+
+  request(bridge, method, path, body) {
+    return new Promise((resolve, reject) => {
+      const payload = body ? JSON.stringify(body) : null;
+      const headers = { Authorization: String(bridge.pin || '') };
+      if (payload) {
+        headers['Content-Type'] = 'application/hap+json';
+        headers['Content-Length'] = Buffer.byteLength(payload);
+      }
+      const req = http.request({ host: this.host, port: bridge.port, method, path, headers }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode === 470 || res.statusCode === 401) return reject(new Error(INSECURE_HINT));
+          if (res.statusCode >= 400) return reject(new Error(`HTTP ${res.statusCode}`));
+          try {
+            resolve(data ? JSON.parse(data) : null);
+          } catch (e) {
+            reject(new Error('invalid response from the HAP server'));
+          }
+        });
+      });
+      req.setTimeout(REQUEST_TIMEOUT, () => req.destroy(new Error('timed out')));
+      req.on('error', reject);
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+}
+
+module.exports = HapClient;
@@ -0,0 +1,239 @@
+// Optional local HTTP API for diagnostics and automation wiring.
+//
+//   GET  /api/devices                 status of every device
+//   GET  /api/devices/:id             connection, mode, LED, button and queue state
+//   GET  /api/devices/:id/frames      recent raw frames from the keypad
+//   GET  /api/devices/:id/mappings    the mapping table as the plugin resolves it
+//   POST /api/devices/:id/press       {"button":3,"pressType":"single"} replays a press
+//   POST /api/devices/:id/led         {"color":"red"} / {"color":"#FF8800"} / {"r":..,"g":..,"b":..}
+//   GET  /api/devices/:id/history     recorded presses (?since=<ISO time>&limit=<n>&format=csv)
+//   GET  /api/devices/:id/stats       press counters per button and per mapping
+//   GET  /api/history                 recorded presses of every device (same parameters)
+//   GET  /api/events                  server-sent events: press, connection, led (?device=<id> filters)
+//
+// Listens on 127.0.0.1 unless configured otherwise. With a token set, requests
+// must send "Authorization: Bearer <token>" (or ?token=<token> for EventSource).
+// POST bodies must be sent as application/json, which a web page can't do to
+// another origin without asking first, so pages in the browser can't press
+// buttons or change the LED.
+
+const http = require('http');
+const PressHistory = require('./press-history');
+
+const MAX_BODY = 16 * 1024;
+const HEARTBEAT_INTERVAL = 15000;
+const PRESS_TYPES = ['single', 'double', 'long'];
+
+class HttpApi {
+  constructor(config, devices, log, history = null) {
+    this.port = typeof config.port === 'number' ? config.port : 0;
+    this.host = config.host || '127.0.0.1';
+    this.token = config.token || '';
+    this.devices = devices;
+    this.log = log;
+    this.history = history; // PressHistory, null when turned off
+    this.server = null;
+    this.streams = new Set(); // open SSE responses
+    this.detachers = [];
+    this.heartbeat = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.server.on('error', err => this.log(`HTTP API error: ${err.message}`));
+
+    this.devices.forEach((device) => {
+      const onPress = event => this.broadcast(device, 'press', Object.assign({ device: device.id }, event));
+      const onConnection = connected => this.broadcast(device, 'connection', { device: device.id, connected });
+      const onLed = (color, mode) => this.broadcast(device, 'led', { device: device.id, r: color.r, g: color.g, b: color.b, mode });
+      device.on('press', onPress);
+      device.on('connection', onConnection);
+      device.on('led', onLed);
+      this.detachers.push(() => {
+        device.removeListener('press', onPress);
+        device.removeListener('connection', onConnection);
+        device.removeListener('led', onLed);
+      });
+    });
+
+    this.heartbeat = setInterval(() => this.streams.forEach(stream => stream.res.write(': ping\n\n')), HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+
+    return new Promise((resolve) => {
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        this.log(`HTTP API listening on http://${this.host}:${this.port}/api`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    this.detachers.forEach(detach => detach());
+    this.detachers = [];
+    if (this.heartbeat) clearInterval(this.heartbeat);
+    this.streams.forEach(stream => stream.res.end());
+    this.streams.clear();
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  broadcast(device, event, data) {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.streams.forEach((stream) => {
+      if (!stream.device || stream.device === device.id) stream.res.write(payload);
+    });
+  }
+
+  authorized(req, url) {
+    if (!this.token) return true;
+    const header = req.headers.authorization || '';
+    return header === `Bearer ${this.token}` || url.searchParams.get('token') === this.token;
+  }
+
+  async handle(req, res) {
+    try {
+      let url;
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch (e) {
+        return sendJson(res, 400, { error: 'invalid URL' });
+      }
+      if (!this.authorized(req, url)) return sendJson(res, 401, { error: 'unauthorized' });
+
+      const parts = url.pathname.split('/').filter(Boolean); // ['api', 'devices', id, sub]
+      if (parts[0] !== 'api') return sendJson(res, 404, { error: 'not found' });
+
+      if (parts[1] === 'events' && parts.length === 2 && req.method === 'GET') {
+        return this.openStream(req, res, url.searchParams.get('device'));
+      }
+      if (parts[1] === 'history' && parts.length === 2 && req.method === 'GET') {
+        return this.sendHistory(res, url, null);
+      }
+      if (parts[1] !== 'devices') return sendJson(res, 404, { error: 'not found' });
+      if (parts.length === 2 && req.method === 'GET') {
+        return sendJson(res, 200, this.devices.map(device => device.getStatus()));
+      }
+
+      const device = this.devices.find(d => d.id === parts[2]);
+      if (!device) return sendJson(res, 404, { error: `no device "${parts[2]}"` });
+      const route = `${req.method} ${parts.slice(3).join('/')}`;
+
+      switch (route) {
+        case 'GET ':
+          return sendJson(res, 200, device.getStatus());
+        case 'GET frames':
+          return sendJson(res, 200, device.recentFrames);
+        case 'GET mappings':
+          return sendJson(res, 200, device.getMappingTable());
+        case 'GET history':
+          return this.sendHistory(res, url, device);
+        case 'GET stats':
+          if (!this.history) return sendJson(res, 404, { error: 'press history is turned off' });
+          return sendJson(res, 200, this.history.getStats(device.id));
+        case 'POST press':
+          return this.press(device, await readJson(req), res);
+        case 'POST led':
+          return this.setLed(device, await readJson(req), res);
+        default:
+          return sendJson(res, 404, { error: 'not found' });
+      }
+    } catch (e) {
+      return sendJson(res, e.status || 500, { error: e.message });
+    }
+  }
+
+  async press(device, body, res) {
+    const button = parseInt(body.button, 10);
+    const pressType = body.pressType || 'single';
+    if (!(button >= 1 && button <= device.buttonStates.length)) {
+      return sendJson(res, 400, { error: `button must be 1-${device.buttonStates.length}` });
+    }
+    if (!PRESS_TYPES.includes(pressType)) return sendJson(res, 400, { error: `pressType must be one of ${PRESS_TYPES.join(', ')}` });
+    if (!device.connected) return sendJson(res, 409, { error: `${device.name} is not connected` });
+    if (device.buttonServices.length === 0) return sendJson(res, 409, { error: 'accessories are not set up yet' });
+
+    this.log(`HTTP API: simulating ${pressType} press on button ${button}`);
+    await device.simulatePress(button, pressType);
+    return sendJson(res, 202, { button, pressType });
+  }
+
+  setLed(device, body, res) {
+    const color = device.parseColor(body.color !== undefined ? body.color : body);
+    if (!color) return sendJson(res, 400, { error: 'invalid color' });
+    if (!device.connected) return sendJson(res, 409, { error: `${device.name} is not connected` });
+    device.setLED(color.r, color.g, color.b);
+    return sendJson(res, 200, { led: color, mode: device.getCurrentMode() });
+  }
+
+  sendHistory(res, url, device) {
+    if (!this.history) return sendJson(res, 404, { error: 'press history is turned off' });
+    const since = url.searchParams.get('since');
+    if (since && Number.isNaN(Date.parse(since))) return sendJson(res, 400, { error: 'since must be a date/time' });
+    const entries = this.history.getEntries({
+      device: device ? device.id : null,
+      since,
+      limit: parseInt(url.searchParams.get('limit'), 10) || 0
+    });
+    if (url.searchParams.get('format') !== 'csv') return sendJson(res, 200, entries);
+    const body = PressHistory.toCsv(entries);
+    res.writeHead(200, {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${device ? device.id : 'iport'}-history.csv"`,
+      'Content-Length': Buffer.byteLength(body)
+    });
+    return res.end(body);
+  }
+
+  openStream(req, res, deviceId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    const stream = { res, device: deviceId || null };
+    this.streams.add(stream);
+    req.on('close', () => this.streams.delete(stream));
+  }
+}
+
+function sendJson(res, status, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+// the body of a POST; only sent as application/json (see the top of the file)
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+      reject(Object.assign(new Error('send the body as Content-Type: application/json'), { status: 415 }));
+      req.resume();
+      return;
+    }
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(Object.assign(new Error('request body too large'), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body.trim()) return resolve({});
+      try {
+        const json = JSON.parse(body);
+        resolve(json && typeof json === 'object' ? json : {});
+      } catch (e) {
+        reject(Object.assign(new Error('invalid JSON body'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = HttpApi;
@@ -0,0 +1,76 @@
+// Short LED animations used as keypad feedback (e.g. flash green when a
+// mapping ran). Frames are written straight to the device; the device's
+// mode color (ledColor) is never touched, and the LED is restored to it when
+// the animation ends. While an animation is active the device should ignore
+// LED readbacks so animation colors are not mistaken for a mode change.
+
+const OFF = { r: 0, g: 0, b: 0 };
+
+const PATTERNS = {
+  // one solid burst of the color
+  flash: color => [{ color, ms: 400 }],
+  // three on/off blinks
+  blink: color => [0, 1, 2].reduce(frames => frames.concat({ color, ms: 150 }, { color: OFF, ms: 150 }), []),
+  // fade up and back down
+  pulse: color => [0.2, 0.4, 0.6, 0.8, 1, 0.8, 0.6, 0.4, 0.2].map(level => ({ color: scale(color, level), ms: 60 }))
+};
+
+class LedAnimator {
+  // write(r, g, b) sends a raw LED command; restoreColor() returns the color to end on
+  constructor(write, restoreColor) {
+    this.write = write;
+    this.restoreColor = restoreColor;
+    this.active = false;
+    this.timer = null;
+    this.finish = null;
+  }
+
+  static has(pattern) {
+    return Object.prototype.hasOwnProperty.call(PATTERNS, pattern);
+  }
+
+  // resolves true when the animation ran to the end, false if it was interrupted
+  play(pattern, color) {
+    if (!LedAnimator.has(pattern)) return Promise.resolve(false);
+    this.stop();
+
+    const frames = PATTERNS[pattern](color);
+    this.active = true;
+    return new Promise((resolve) => {
+      this.finish = resolve;
+      let index = 0;
+      const step = () => {
+        if (index >= frames.length) {
+          this.active = false;
+          this.timer = null;
+          this.finish = null;
+          const { r, g, b } = this.restoreColor();
+          this.write(r, g, b);
+          resolve(true);
+          return;
+        }
+        const frame = frames[index++];
+        this.write(frame.color.r, frame.color.g, frame.color.b);
+        this.timer = setTimeout(step, frame.ms);
+      };
+      step();
+    });
+  }
+
+  // abort without restoring (the caller is about to write its own color)
+  stop() {
+    if (!this.active) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.active = false;
+    const finish = this.finish;
+    this.finish = null;
+    if (finish) finish(false);
+  }
+}
+
+function scale({ r, g, b }, level) {
+  return { r: Math.round(r * level), g: Math.round(g * level), b: Math.round(b * level) };
+}
+
+module.exports = LedAnimator;
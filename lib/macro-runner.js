@@ -0,0 +1,67 @@
+// Runs macro mappings: an ordered list of steps executed one after another,
+// with "wait" steps in between. Each run is keyed (by button) so pressing the
+// same button again can cancel it; cancellation also cuts a pending wait short.
+
+class MacroRunner {
+  // executeStep(step, index) performs one non-wait step and returns (a promise of) success
+  constructor(executeStep) {
+    this.executeStep = executeStep;
+    this.running = new Map(); // key -> run state
+  }
+
+  isRunning(key) {
+    return this.running.has(key);
+  }
+
+  // resolves true when every step succeeded, false on a failed step or cancellation
+  async run(key, steps) {
+    this.cancel(key);
+    const run = { cancelled: false, timer: null, wake: null };
+    this.running.set(key, run);
+
+    let success = true;
+    try {
+      for (let index = 0; index < steps.length; index++) {
+        if (run.cancelled) break;
+        const step = steps[index];
+        if (step.type === 'wait') {
+          await this.wait(run, step.delay);
+          continue;
+        }
+        let ok;
+        try {
+          ok = await this.executeStep(step, index);
+        } catch (e) {
+          ok = false;
+        }
+        if (!ok) success = false;
+      }
+    } finally {
+      if (this.running.get(key) === run) this.running.delete(key);
+    }
+    return success && !run.cancelled;
+  }
+
+  wait(run, ms) {
+    return new Promise((resolve) => {
+      run.wake = resolve;
+      run.timer = setTimeout(resolve, Math.max(0, Number(ms) || 0));
+    });
+  }
+
+  cancel(key) {
+    const run = this.running.get(key);
+    if (!run) return false;
+    run.cancelled = true;
+    clearTimeout(run.timer);
+    if (run.wake) run.wake();
+    this.running.delete(key);
+    return true;
+  }
+
+  cancelAll() {
+    Array.from(this.running.keys()).forEach(key => this.cancel(key));
+  }
+}
+
+module.exports = MacroRunner;
@@ -0,0 +1,122 @@
+// Versioned config migrations. Homebridge hands the plugin its block of
+// config.json as it is, and configs written by hand or for older versions of
+// the plugin use forms it no longer reads. Each migration brings a config from
+// the previous version to its own; `configVersion` records how far a config
+// has been brought. Until the settings page saves a migrated config, the
+// migrations run in memory at every startup.
+
+// settings that hold numbers, at platform level and per device
+const NUMBER_SETTINGS = [
+  'port', 'timeout', 'reconnectDelay', 'maxReconnectDelay', 'pollInterval', 'maxMissedPolls', 'commandInterval',
+  'triggerResetDelay', 'doublePressWindow', 'longPressThreshold', 'holdDelay', 'holdRepeatInterval', 'chordWindow',
+  'sequenceTimeout', 'modeColorTolerance', 'modeButton', 'modeTimeout', 'latitude', 'longitude'
+];
+const NUMBER_TIMING_FIELDS = ['buttonNumber', 'doublePressWindow', 'longPressThreshold', 'holdDelay'];
+const NUMBER_MAPPING_FIELDS = ['buttonNumber', 'repeatInterval', 'step'];
+// not modeColor: it is part of the mapping switch's identity, and matched without regard to case
+const NAME_MAPPING_FIELDS = ['pressType', 'actionType', 'ledColor', 'targetMode'];
+const NAME_STEP_FIELDS = ['type', 'ledColor', 'targetMode'];
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'numbers typed as text',
+    migrate(config, note) {
+      eachBlock(config, (block, where) => {
+        NUMBER_SETTINGS.forEach(key => numberField(block, key, `${where}${key}`, note));
+        (Array.isArray(block.buttonTimings) ? block.buttonTimings : []).forEach((timing, index) => {
+          NUMBER_TIMING_FIELDS.forEach(key => numberField(timing, key, `${where}buttonTimings[${index}].${key}`, note));
+        });
+      });
+      ['httpApi', 'hap'].forEach((key) => {
+        if (config[key]) numberField(config[key], 'port', `${key}.port`, note);
+      });
+      eachMapping(config, (mapping, where) => {
+        NUMBER_MAPPING_FIELDS.forEach(key => numberField(mapping, key, `${where} ${key}`, note));
+        if (Array.isArray(mapping.buttons) && mapping.buttons.some(isNumberText)) {
+          mapping.buttons = mapping.buttons.map(n => (isNumberText(n) ? Number(n) : n));
+          note(`${where} buttons are numbers`);
+        }
+        (Array.isArray(mapping.steps) ? mapping.steps : []).forEach((step, index) => {
+          numberField(step, 'delay', `${where} step ${index + 1} delay`, note);
+        });
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'names in lower case',
+    migrate(config, note) {
+      eachMapping(config, (mapping, where) => {
+        NAME_MAPPING_FIELDS.forEach(key => lowerField(mapping, key, `${where} ${key}`, note));
+        (Array.isArray(mapping.steps) ? mapping.steps : []).forEach((step, index) => {
+          NAME_STEP_FIELDS.forEach(key => lowerField(step, key, `${where} step ${index + 1} ${key}`, note));
+        });
+      });
+    }
+  },
+  {
+    // the first schema had no ledColor field, so LED mappings named their color as
+    // the target (targetName stays: the mapping switch is named after it)
+    version: 3,
+    description: 'LED color in targetName',
+    migrate(config, note) {
+      eachMapping(config, (mapping, where) => {
+        if (mapping.actionType !== 'led' || mapping.ledColor || !mapping.targetName) return;
+        mapping.ledColor = String(mapping.targetName).trim().toLowerCase();
+        note(`${where} ledColor is "${mapping.ledColor}" (from its targetName)`);
+      });
+    }
+  }
+];
+
+const CONFIG_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// { config, notes, from }: a migrated copy of a platform config (the original is
+// left alone), one note per change, and the version it started from
+function migrateConfig(config = {}) {
+  const from = Number.isInteger(config.configVersion) ? config.configVersion : 0;
+  const migrated = JSON.parse(JSON.stringify(config));
+  const notes = [];
+  MIGRATIONS.filter(migration => migration.version > from).forEach((migration) => {
+    migration.migrate(migrated, message => notes.push(`${message} (v${migration.version}: ${migration.description})`));
+  });
+  migrated.configVersion = Math.max(from, CONFIG_VERSION);
+  return { config: migrated, notes, from };
+}
+
+// the platform block and each entry of devices, with a prefix for notes
+function eachBlock(config, fn) {
+  fn(config, '');
+  (Array.isArray(config.devices) ? config.devices : []).forEach((device, index) => {
+    if (device) fn(device, `${device.name || `devices[${index}]`}: `);
+  });
+}
+
+// every mapping, named the way startup messages name them ("Mapping 3", "Hall: Mapping 3")
+function eachMapping(config, fn) {
+  eachBlock(config, (block, where) => {
+    (Array.isArray(block.buttonMappings) ? block.buttonMappings : []).forEach((mapping, index) => {
+      if (mapping && typeof mapping === 'object') fn(mapping, `${where}Mapping ${index + 1}`);
+    });
+  });
+}
+
+function isNumberText(value) {
+  return typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value);
+}
+
+function numberField(object, key, where, note) {
+  if (!isNumberText(object[key])) return;
+  object[key] = Number(object[key]);
+  note(`${where} is the number ${object[key]}`);
+}
+
+function lowerField(object, key, where, note) {
+  const value = object[key];
+  if (typeof value !== 'string' || value === value.trim().toLowerCase()) return;
+  object[key] = value.trim().toLowerCase();
+  note(`${where} is "${object[key]}"`);
+}
+
+module.exports = { migrateConfig, CONFIG_VERSION };
@@ -0,0 +1,133 @@
+// Keypad model profiles: what differs between iPort SM variants and firmware
+// versions, so the rest of the plugin never assumes a particular keypad.
+//
+//   buttons       number of keys
+//   labelPattern  regular expression matched against an event's label
+//                 (case-insensitive); its first group is the key number
+//   firstKey      number the first key reports (1, or 0 for zero-based firmware)
+//   modeButton    key that cycles the LED modes unless modeButton is configured (0 = none)
+//   ledSet        LED command: {rgb} is RRRGGGBBB, {r} {g} {b} plain numbers, {hex} RRGGBB
+//   ledQuery      command asking the keypad for its LED color
+//   ledReply      how the keypad reports its color (after "led=" or in a JSON led
+//                 field): rgb RRRGGGBBB, hex RRGGBB or list "r,g,b"; defaults to
+//                 the form ledSet uses
+//
+// Commands are framed with CR on both sides. model "custom" starts from the
+// default profile and takes any of the fields above from customModel.
+
+const MAX_BUTTONS = 32;
+
+const DEFAULT_PROFILE = {
+  buttons: 10,
+  labelPattern: '^key\\s*(\\d+)$',
+  firstKey: 1,
+  modeButton: 10,
+  ledSet: 'led={rgb}',
+  ledQuery: 'led=?'
+};
+
+const LED_REPLIES = ['rgb', 'hex', 'list'];
+
+const PROFILES = {
+  '10-key': {},
+  '8-key': { buttons: 8, modeButton: 8 },
+  '6-key': { buttons: 6, modeButton: 6 },
+  '4-key': { buttons: 4, modeButton: 4 },
+  '2-key': { buttons: 2, modeButton: 0 }
+};
+
+const DEFAULT_MODEL = '10-key';
+
+class ModelProfile {
+  constructor(name, fields = {}) {
+    this.name = name;
+    this.warnings = [];
+    const profile = Object.assign({}, DEFAULT_PROFILE, fields);
+
+    this.buttons = Number.isInteger(profile.buttons) && profile.buttons >= 1 && profile.buttons <= MAX_BUTTONS
+      ? profile.buttons
+      : this.fallback('buttons', profile.buttons, `a whole number from 1 to ${MAX_BUTTONS}`);
+    this.firstKey = Number.isInteger(profile.firstKey) ? profile.firstKey : this.fallback('firstKey', profile.firstKey, 'a whole number');
+    const modeButton = Number.isInteger(profile.modeButton) && profile.modeButton >= 0 ? profile.modeButton : this.fallback('modeButton', profile.modeButton, 'a button number or 0');
+    this.modeButton = modeButton;
+    if (modeButton > this.buttons) {
+      this.warnings.push(`Model modeButton ${modeButton} is beyond its ${this.buttons} buttons, the model has no mode button`);
+      this.modeButton = 0;
+    }
+    try {
+      this.labelPattern = new RegExp(profile.labelPattern, 'i');
+    } catch (e) {
+      this.labelPattern = new RegExp(this.fallback('labelPattern', profile.labelPattern, `a regular expression (${e.message})`), 'i');
+    }
+    this.ledSet = typeof profile.ledSet === 'string' && profile.ledSet ? profile.ledSet : this.fallback('ledSet', profile.ledSet, 'a command');
+    this.ledQuery = typeof profile.ledQuery === 'string' && profile.ledQuery ? profile.ledQuery : this.fallback('ledQuery', profile.ledQuery, 'a command');
+    const ledReply = /\{hex\}/.test(this.ledSet) ? 'hex' : /\{[rgb]\}/.test(this.ledSet) ? 'list' : 'rgb';
+    if (profile.ledReply === undefined) {
+      this.ledReply = ledReply;
+    } else if (LED_REPLIES.includes(profile.ledReply)) {
+      this.ledReply = profile.ledReply;
+    } else {
+      this.warnings.push(`Model ledReply ${JSON.stringify(profile.ledReply)} is not one of ${LED_REPLIES.join(', ')}, using ${JSON.stringify(ledReply)}`);
+      this.ledReply = ledReply;
+    }
+  }
+
+  static fromConfig(config = {}) {
+    const name = config.model || DEFAULT_MODEL;
+    if (name === 'custom') return new ModelProfile(name, config.customModel || {});
+    if (PROFILES[name]) return new ModelProfile(name, PROFILES[name]);
+    const profile = new ModelProfile(DEFAULT_MODEL, PROFILES[DEFAULT_MODEL]);
+    profile.warnings.push(`Unknown model "${name}", using ${DEFAULT_MODEL} (known: ${ModelProfile.names().join(', ')}, custom)`);
+    return profile;
+  }
+
+  static names() {
+    return Object.keys(PROFILES);
+  }
+
+  fallback(field, value, expected) {
+    this.warnings.push(`Model ${field} ${JSON.stringify(value)} is not ${expected}, using ${JSON.stringify(DEFAULT_PROFILE[field])}`);
+    return DEFAULT_PROFILE[field];
+  }
+
+  // zero-based button index for an event label, or -1 when it names no key of this model
+  keyIndex(label) {
+    const match = this.labelPattern.exec(String(label === undefined ? '' : label).trim());
+    if (!match || match[1] === undefined) return -1;
+    const index = parseInt(match[1], 10) - this.firstKey;
+    return index >= 0 && index < this.buttons ? index : -1;
+  }
+
+  // { r, g, b } from an LED readback in the ledReply form, or null when it isn't one
+  parseLed(value) {
+    const text = String(value === undefined ? '' : value).trim();
+    let parts = null;
+    if (this.ledReply === 'hex') {
+      const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(text);
+      parts = match && match.slice(1).map(v => parseInt(v, 16));
+    } else if (this.ledReply === 'list') {
+      const match = /^(\d{1,3})[\s,;]+(\d{1,3})[\s,;]+(\d{1,3})$/.exec(text);
+      parts = match && match.slice(1).map(Number);
+    } else if (/^\d{1,9}$/.test(text)) {
+      const padded = text.padStart(9, '0'); // some firmware drops leading zeros
+      parts = [0, 3, 6].map(i => Number(padded.slice(i, i + 3)));
+    }
+    if (!parts || parts.some(v => v > 255)) return null;
+    return { r: parts[0], g: parts[1], b: parts[2] };
+  }
+
+  ledCommand(r, g, b) {
+    const pad = v => String(v).padStart(3, '0');
+    const hex = v => v.toString(16).padStart(2, '0').toUpperCase();
+    return this.ledSet
+      .replace(/\{rgb\}/g, `${pad(r)}${pad(g)}${pad(b)}`)
+      .replace(/\{hex\}/g, `${hex(r)}${hex(g)}${hex(b)}`)
+      .replace(/\{r\}/g, r)
+      .replace(/\{g\}/g, g)
+      .replace(/\{b\}/g, b);
+  }
+}
+
+ModelProfile.MAX_BUTTONS = MAX_BUTTONS;
+
+module.exports = ModelProfile;
@@ -0,0 +1,133 @@
+// Optional MQTT bridge so tools outside HomeKit (Node-RED, Home Assistant, ...)
+// can see keypad presses and drive the LED.
+//
+// Published (per device, <base>/<device id>/...):
+//   button     {"button":3,"pressType":"single","mode":"red","device":"Kitchen","timestamp":"..."}
+//   connected  "true" / "false" (retained)
+//   led        {"r":255,"g":0,"b":0,"mode":"red"} (retained)
+// Subscribed:
+//   led/set    "RRRGGGBBB", "#RRGGBB", a mode name, "off" or {"r":..,"g":..,"b":..}
+//   mode/set   a mode name, "next", "previous" or "default"
+// <base>/status is "online" while the bridge is connected ("offline" via last will).
+
+const mqtt = require('mqtt');
+
+class MqttBridge {
+  constructor(config, devices, log) {
+    this.url = config.url;
+    this.options = {
+      username: config.username || undefined,
+      password: config.password || undefined,
+      clientId: config.clientId || `homebridge-iport-${Math.random().toString(16).slice(2, 10)}`,
+      reconnectPeriod: typeof config.reconnectPeriod === 'number' ? config.reconnectPeriod : 5000
+    };
+    this.baseTopic = String(config.baseTopic || 'iport').replace(/\/+$/, '');
+    this.devices = devices;
+    this.log = log;
+    this.client = null;
+    this.detachers = [];
+    this.stopping = null;
+  }
+
+  start() {
+    const statusTopic = `${this.baseTopic}/status`;
+    this.log(`MQTT: connecting to ${this.url}`);
+    this.client = mqtt.connect(this.url, Object.assign({}, this.options, {
+      will: { topic: statusTopic, payload: 'offline', retain: true, qos: 1 }
+    }));
+
+    this.client.on('connect', () => {
+      this.log('MQTT: connected');
+      this.client.publish(statusTopic, 'online', { retain: true, qos: 1 });
+      this.client.subscribe([`${this.baseTopic}/+/led/set`, `${this.baseTopic}/+/mode/set`]);
+      this.devices.forEach(device => this.publishState(device));
+    });
+    this.client.on('message', (topic, payload) => this.handleCommand(topic, payload.toString().trim()));
+    this.client.on('error', err => this.log(`MQTT error: ${err.message}`));
+
+    this.devices.forEach((device) => {
+      const onPress = event => this.publish(device, 'button', JSON.stringify(Object.assign({}, event, {
+        device: device.name,
+        timestamp: new Date().toISOString()
+      })));
+      const onConnection = () => this.publishConnection(device);
+      const onLed = () => this.publishLed(device);
+      device.on('press', onPress);
+      device.on('connection', onConnection);
+      device.on('led', onLed);
+      this.detachers.push(() => {
+        device.removeListener('press', onPress);
+        device.removeListener('connection', onConnection);
+        device.removeListener('led', onLed);
+      });
+    });
+  }
+
+  // safe to call more than once; every caller gets the same shutdown promise
+  stop() {
+    if (this.stopping) return this.stopping;
+    this.detachers.forEach(detach => detach());
+    this.detachers = [];
+    if (!this.client) return Promise.resolve();
+    const client = this.client;
+    this.client = null;
+    this.stopping = new Promise((resolve) => {
+      if (!client.connected) {
+        client.end(true, {}, () => resolve());
+        return;
+      }
+      client.publish(`${this.baseTopic}/status`, 'offline', { retain: true, qos: 1 }, () => {
+        client.end(false, {}, () => resolve());
+      });
+    });
+    return this.stopping;
+  }
+
+  topic(device, suffix) {
+    return `${this.baseTopic}/${device.id}/${suffix}`;
+  }
+
+  publish(device, suffix, payload, options = {}) {
+    if (!this.client || !this.client.connected) return;
+    this.client.publish(this.topic(device, suffix), payload, options);
+  }
+
+  publishState(device) {
+    this.publishConnection(device);
+    this.publishLed(device);
+  }
+
+  publishConnection(device) {
+    this.publish(device, 'connected', String(device.connected), { retain: true });
+  }
+
+  publishLed(device) {
+    const { r, g, b } = device.ledColor;
+    this.publish(device, 'led', JSON.stringify({ r, g, b, mode: device.getCurrentMode() }), { retain: true });
+  }
+
+  handleCommand(topic, payload) {
+    const parts = topic.slice(this.baseTopic.length + 1).split('/');
+    const device = this.devices.find(d => d.id === parts[0]);
+    if (!device || parts[2] !== 'set') return;
+    if (!device.connected) {
+      this.log(`MQTT: ignoring ${topic}, ${device.name} is not connected`);
+      return;
+    }
+
+    if (parts[1] === 'led') {
+      const color = device.parseColor(payload);
+      if (!color) {
+        this.log(`MQTT: invalid LED color "${payload}" on ${topic}`);
+        return;
+      }
+      device.setLED(color.r, color.g, color.b);
+    } else if (parts[1] === 'mode') {
+      const action = payload.toLowerCase();
+      if (['next', 'previous', 'default'].includes(action)) device.executeModeAction({ action });
+      else device.setMode(action);
+    }
+  }
+}
+
+module.exports = MqttBridge;
@@ -0,0 +1,117 @@
+// Named LED modes ("palette") and color matching.
+//
+// The keypad's LED color selects which mappings are active. Readbacks from
+// the device are often dimmed or rounded, so a color is matched to the
+// nearest mode within a tolerance instead of requiring an exact value.
+// Colors are compared after scaling to full brightness: a dimmed red is red.
+
+const DEFAULT_MODES = [
+  { name: 'red', red: 255, green: 0, blue: 0 },
+  { name: 'green', red: 0, green: 255, blue: 0 },
+  { name: 'blue', red: 0, green: 0, blue: 255 },
+  { name: 'yellow', red: 255, green: 255, blue: 0 },
+  { name: 'purple', red: 128, green: 0, blue: 128 },
+  { name: 'white', red: 255, green: 255, blue: 255 }
+];
+
+const DEFAULT_TOLERANCE = 60; // max euclidean distance between normalized colors
+const RESERVED_NAMES = ['any', 'off', 'unknown'];
+
+class ModePalette {
+  // modes: [{ name, red, green, blue, cycleOrder?, skipInCycle? }]
+  constructor(modes = DEFAULT_MODES, options = {}) {
+    this.tolerance = typeof options.tolerance === 'number' ? options.tolerance : DEFAULT_TOLERANCE;
+    this.warnings = [];
+    this.modes = {};
+
+    const ordered = [];
+    modes.forEach((mode, index) => {
+      const name = String(mode.name || '').trim().toLowerCase();
+      if (!name) {
+        this.warnings.push(`modes[${index}] has no name, skipping it`);
+        return;
+      }
+      if (RESERVED_NAMES.includes(name)) {
+        this.warnings.push(`modes[${index}] uses reserved name "${name}", skipping it`);
+        return;
+      }
+      if (this.modes[name]) {
+        this.warnings.push(`modes[${index}] duplicates mode "${name}", skipping it`);
+        return;
+      }
+      const color = { r: clamp(mode.red), g: clamp(mode.green), b: clamp(mode.blue) };
+      // readbacks are matched at full brightness, so a mode that only differs in brightness loses to the earlier one
+      const twin = Object.keys(this.modes).find(other => colorDistance(normalize(color), normalize(this.modes[other])) < 1);
+      if (twin) {
+        this.warnings.push(`modes[${index}] "${name}" is the color of mode "${twin}" at another brightness, the keypad's LED will always read back as "${twin}"`);
+      }
+      this.modes[name] = color;
+      if (!mode.skipInCycle) {
+        ordered.push({ name, order: typeof mode.cycleOrder === 'number' ? mode.cycleOrder : index, index });
+      }
+    });
+
+    // cycle follows cycleOrder, ties keep config order
+    this.cycle = ordered.sort((a, b) => a.order - b.order || a.index - b.index).map(m => m.name);
+  }
+
+  static fromConfig(config = {}) {
+    const modes = Array.isArray(config.modes) && config.modes.length > 0 ? config.modes : DEFAULT_MODES;
+    return new ModePalette(modes, { tolerance: config.modeColorTolerance });
+  }
+
+  names() {
+    return Object.keys(this.modes);
+  }
+
+  get(name) {
+    return this.modes[String(name || '').toLowerCase()];
+  }
+
+  // mode `step` positions away from `name` in the cycle (wraps around)
+  next(name, step = 1) {
+    if (this.cycle.length === 0) return null;
+    const index = this.cycle.indexOf(name);
+    const from = index === -1 ? (step > 0 ? -1 : 0) : index;
+    const len = this.cycle.length;
+    return this.cycle[(((from + step) % len) + len) % len];
+  }
+
+  // nearest mode for an rgb color, 'off' for black, 'unknown' when nothing is close enough
+  match({ r, g, b }) {
+    if (r === 0 && g === 0 && b === 0) return 'off';
+    const color = normalize({ r, g, b });
+
+    let best = null;
+    let bestDistance = Infinity;
+    Object.keys(this.modes).forEach((name) => {
+      const distance = colorDistance(color, normalize(this.modes[name]));
+      if (distance < bestDistance) {
+        best = name;
+        bestDistance = distance;
+      }
+    });
+    return best !== null && bestDistance <= this.tolerance ? best : 'unknown';
+  }
+}
+
+// scale so the brightest channel is 255
+function normalize({ r, g, b }) {
+  const max = Math.max(r, g, b);
+  if (max === 0) return { r: 0, g: 0, b: 0 };
+  return { r: (r / max) * 255, g: (g / max) * 255, b: (b / max) * 255 };
+}
+
+function colorDistance(a, b) {
+  return Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+}
+
+function clamp(value) {
+  const n = parseInt(value, 10);
+  if (isNaN(n)) return 0;
+  return Math.min(255, Math.max(0, n));
+}
+
+module.exports = ModePalette;
+module.exports.DEFAULT_MODES = DEFAULT_MODES;
+module.exports.RESERVED_NAMES = RESERVED_NAMES;
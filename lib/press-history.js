@@ -0,0 +1,184 @@
+// Press history under the Homebridge storage path: one JSON line per press,
+// rotated into numbered files, plus counters per button and per mapping that
+// outlive the rotation. Writes are batched like the state store's; flush()
+// writes synchronously and is called on shutdown.
+//
+// An entry:
+//   time       ISO timestamp of the press
+//   device     device id
+//   button     button number (null for codes, which stay secret)
+//   buttons    a chord's or sequence's buttons
+//   pressType  single, double, long, hold, chord, sequence or code
+//   mode       the mode when the press happened
+//   mapping    { number, key, trigger, actionType, action, targetName } of the
+//              mapping that ran, null when none did
+//   outcome    ok | failed | unmapped (no mapping for the press in this mode) |
+//              skipped (conditions not met) | mode (the mode button) |
+//              cancelled (stopped a running macro)
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PREFIX = 'iport-sm-buttons-history';
+const STATS_FILE = 'iport-sm-buttons-stats.json';
+const DEFAULT_MAX_ENTRIES = 5000; // per file
+const DEFAULT_FILES = 3; // the current file and the rotated ones
+const SAVE_DELAY = 1000;
+const CSV_COLUMNS = ['time', 'device', 'button', 'pressType', 'mode', 'mapping', 'trigger', 'actionType', 'action', 'targetName', 'outcome'];
+
+class PressHistory {
+  // options: { maxEntries, files }
+  constructor(storagePath, log, options = {}) {
+    this.dir = storagePath;
+    this.log = log;
+    this.maxEntries = options.maxEntries >= 1 ? Math.floor(options.maxEntries) : DEFAULT_MAX_ENTRIES;
+    this.files = options.files >= 1 ? Math.floor(options.files) : DEFAULT_FILES;
+    this.statsFile = path.join(storagePath, STATS_FILE);
+    this.pending = []; // entries not on disk yet
+    this.timer = null;
+    this.lines = this.readFile(0).length;
+    this.stats = {};
+    try {
+      if (fs.existsSync(this.statsFile)) this.stats = JSON.parse(fs.readFileSync(this.statsFile, 'utf8')) || {};
+    } catch (e) {
+      this.log.warn(`Could not read press counters from ${this.statsFile}: ${e.message}`);
+    }
+  }
+
+  // file 0 is written to; higher numbers are older
+  file(n) {
+    return path.join(this.dir, n === 0 ? `${FILE_PREFIX}.jsonl` : `${FILE_PREFIX}.${n}.jsonl`);
+  }
+
+  record(entry) {
+    const full = Object.assign({ time: new Date().toISOString() }, entry);
+    this.pending.push(full);
+    this.count(full);
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.save();
+      }, SAVE_DELAY);
+    }
+    return full;
+  }
+
+  count(entry) {
+    const device = this.stats[entry.device] || (this.stats[entry.device] = { since: entry.time, buttons: {}, combos: {}, mappings: {} });
+    // buttons by number and gesture; chords, sequences and codes by what was entered
+    let counter;
+    if (entry.pressType === 'code') counter = device.combos.code || (device.combos.code = {});
+    else if (entry.buttons) {
+      const name = `${entry.pressType} ${entry.buttons.join(entry.pressType === 'chord' ? '+' : '→')}`;
+      counter = device.combos[name] || (device.combos[name] = {});
+    } else counter = device.buttons[entry.button] || (device.buttons[entry.button] = {});
+    counter[entry.pressType] = (counter[entry.pressType] || 0) + 1;
+    counter.total = (counter.total || 0) + 1;
+    counter.lastAt = entry.time;
+
+    if (!entry.mapping) return;
+    const mapping = device.mappings[entry.mapping.key] || (device.mappings[entry.mapping.key] = { runs: 0, ok: 0, failed: 0 });
+    mapping.number = entry.mapping.number;
+    mapping.trigger = entry.mapping.trigger;
+    mapping.runs += 1;
+    if (entry.outcome === 'ok') mapping.ok += 1;
+    if (entry.outcome === 'failed') mapping.failed += 1;
+    mapping.lastAt = entry.time;
+  }
+
+  // counters for one device (or all, keyed by device id)
+  getStats(device) {
+    if (device) return this.stats[device] || { since: null, buttons: {}, combos: {}, mappings: {} };
+    return this.stats;
+  }
+
+  // entries oldest first; filter: { device, since (ISO or Date), limit (the most recent n) }
+  getEntries({ device, since, limit } = {}) {
+    const from = since ? new Date(since).toISOString() : null;
+    let entries = [];
+    for (let n = this.files - 1; n >= 0; n--) entries = entries.concat(this.readFile(n));
+    entries = entries.concat(this.pending)
+      .filter(entry => (!device || entry.device === device) && (!from || entry.time >= from));
+    return limit >= 1 ? entries.slice(-limit) : entries;
+  }
+
+  readFile(n) {
+    try {
+      if (!fs.existsSync(this.file(n))) return [];
+      return fs.readFileSync(this.file(n), 'utf8').split('\n').filter(Boolean).map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null; // a line cut short by a crash
+        }
+      }).filter(Boolean);
+    } catch (e) {
+      this.log.warn(`Could not read press history from ${this.file(n)}: ${e.message}`);
+      return [];
+    }
+  }
+
+  flush() {
+    if (!this.timer) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.save();
+  }
+
+  save() {
+    const entries = this.pending;
+    this.pending = [];
+    try {
+      while (entries.length > 0) {
+        if (this.lines >= this.maxEntries) this.rotate();
+        const batch = entries.splice(0, this.maxEntries - this.lines);
+        fs.appendFileSync(this.file(0), batch.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        this.lines += batch.length;
+      }
+      const tmp = `${this.statsFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.stats, null, 2));
+      fs.renameSync(tmp, this.statsFile);
+    } catch (e) {
+      this.log.warn(`Could not save press history: ${e.message}`);
+    }
+  }
+
+  // drop the oldest file and shift the others up by one
+  rotate() {
+    if (fs.existsSync(this.file(this.files - 1))) fs.unlinkSync(this.file(this.files - 1));
+    for (let n = this.files - 2; n >= 0; n--) {
+      if (fs.existsSync(this.file(n))) fs.renameSync(this.file(n), this.file(n + 1));
+    }
+    this.lines = 0;
+  }
+}
+
+// entries as CSV, one row each, mapping fields flattened
+function toCsv(entries) {
+  const cell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map((entry) => {
+    const mapping = entry.mapping || {};
+    const row = {
+      time: entry.time,
+      device: entry.device,
+      button: entry.buttons ? entry.buttons.join(entry.pressType === 'chord' ? '+' : ' ') : entry.button,
+      pressType: entry.pressType,
+      mode: entry.mode,
+      mapping: mapping.number,
+      trigger: mapping.trigger,
+      actionType: mapping.actionType,
+      action: mapping.action,
+      targetName: mapping.targetName,
+      outcome: entry.outcome
+    };
+    return CSV_COLUMNS.map(column => cell(row[column])).join(',');
+  });
+  return `${[CSV_COLUMNS.join(',')].concat(rows).join('\r\n')}\r\n`;
+}
+
+PressHistory.toCsv = toCsv;
+
+module.exports = PressHistory;
@@ -0,0 +1,81 @@
+// Matches button sequences ("1 then 3", PIN codes) against the stream of
+// single presses. A press that could still start or continue a sequence is
+// held back; once the sequence completes its presses are swallowed, and once
+// it can no longer complete (a non-matching press or the timeout) they are
+// released as ordinary single presses, in order.
+
+class SequenceTracker {
+  // getSequences() -> [{ buttons: [1, 3], mapping }] active right now
+  // onMatch(mapping) runs a completed sequence, onPress(button) a released single press
+  constructor({ getSequences, onMatch, onPress, timeout = 2000 }) {
+    this.getSequences = getSequences;
+    this.onMatch = onMatch;
+    this.onPress = onPress;
+    this.timeout = timeout; // ms allowed between two presses of a sequence
+    this.buffer = [];
+    this.timer = null;
+  }
+
+  get pending() {
+    return this.buffer.length;
+  }
+
+  press(button) {
+    this.clearTimer();
+    this.buffer.push(button);
+    while (this.buffer.length > 0) {
+      const sequences = this.getSequences();
+      const exact = sequences.find(seq => sameButtons(seq.buttons, this.buffer));
+      const longer = sequences.some(seq => seq.buttons.length > this.buffer.length && startsWith(seq.buttons, this.buffer));
+      if (exact && !longer) {
+        this.buffer = [];
+        this.onMatch(exact.mapping);
+        return;
+      }
+      if (exact || longer) {
+        // wait for the next press (a longer sequence may still follow)
+        this.timer = setTimeout(() => this.flush(), this.timeout);
+        return;
+      }
+      // nothing continues like this: the oldest press was an ordinary one
+      this.onPress(this.buffer.shift());
+    }
+  }
+
+  // the window closed (or another kind of press came in): complete an exact
+  // match, otherwise let the held-back presses through
+  flush() {
+    this.clearTimer();
+    if (this.buffer.length === 0) return;
+    const exact = this.getSequences().find(seq => sameButtons(seq.buttons, this.buffer));
+    const buffered = this.buffer;
+    this.buffer = [];
+    if (exact) {
+      this.onMatch(exact.mapping);
+      return;
+    }
+    buffered.forEach(button => this.onPress(button));
+  }
+
+  // drop held-back presses without running them (e.g. on disconnect)
+  reset() {
+    this.clearTimer();
+    this.buffer = [];
+  }
+
+  clearTimer() {
+    if (!this.timer) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+function startsWith(buttons, prefix) {
+  return prefix.every((button, index) => buttons[index] === button);
+}
+
+function sameButtons(a, b) {
+  return a.length === b.length && startsWith(a, b);
+}
+
+module.exports = SequenceTracker;
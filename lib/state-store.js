@@ -0,0 +1,56 @@
+// Small JSON file under the Homebridge storage path that keeps per-device
+// runtime state (the last LED mode and color, latching switch states) across
+// restarts. Writes are batched; flush() writes synchronously and is called on
+// shutdown.
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_NAME = 'iport-sm-buttons-state.json';
+const SAVE_DELAY = 500;
+
+class StateStore {
+  constructor(storagePath, log) {
+    this.file = path.join(storagePath, FILE_NAME);
+    this.log = log;
+    this.timer = null;
+    this.data = {};
+    try {
+      if (fs.existsSync(this.file)) this.data = JSON.parse(fs.readFileSync(this.file, 'utf8')) || {};
+    } catch (e) {
+      this.log.warn(`Could not read saved state from ${this.file}: ${e.message}`);
+    }
+  }
+
+  get(id) {
+    return this.data[id] || null;
+  }
+
+  set(id, state) {
+    this.data[id] = Object.assign({}, state, { updatedAt: new Date().toISOString() });
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.save();
+    }, SAVE_DELAY);
+  }
+
+  flush() {
+    if (!this.timer) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.save();
+  }
+
+  save() {
+    try {
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (e) {
+      this.log.warn(`Could not save state to ${this.file}: ${e.message}`);
+    }
+  }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,44 @@
+// Sunrise and sunset for a day and place, computed offline with the usual
+// solar position approximations (accurate to a minute or two, which is
+// plenty for switching lights).
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = 23.4397 * RAD;
+const HORIZON = -0.833 * RAD; // upper limb on the horizon, with refraction
+
+function toDays(date) {
+  return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(j) {
+  return new Date((j + 0.5 - J1970) * DAY_MS);
+}
+
+function solarTransit(ds, M, L) {
+  return J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+}
+
+// { sunrise, sunset } as Dates for the day containing `date` at the given
+// place; both null when the sun doesn't rise or set that day (polar day/night)
+function sunTimes(date, latitude, longitude) {
+  const lw = -longitude * RAD;
+  const phi = latitude * RAD;
+  const n = Math.round(toDays(date) - J0 - lw / (2 * Math.PI));
+  const ds = J0 + lw / (2 * Math.PI) + n;
+  const M = (357.5291 + 0.98560028 * ds) * RAD;
+  const C = (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M)) * RAD;
+  const L = M + C + 102.9372 * RAD + Math.PI;
+  const dec = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+  const noon = solarTransit(ds, M, L);
+
+  const cosW = (Math.sin(HORIZON) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+  if (cosW < -1 || cosW > 1) return { sunrise: null, sunset: null };
+  const set = solarTransit(J0 + (Math.acos(cosW) + lw) / (2 * Math.PI) + n, M, L);
+  return { sunrise: fromJulian(noon - (set - noon)), sunset: fromJulian(set) };
+}
+
+module.exports = { sunTimes };
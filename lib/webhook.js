@@ -0,0 +1,115 @@
+// Webhook mappings: call a local automation service straight from a button
+// press, without a HomeKit round-trip.
+//
+// url, header values and body are templates: {{button}}, {{pressType}},
+// {{mode}}, {{device}} and {{timestamp}} are replaced with the press details
+// (URL-encoded inside the url, JSON-escaped inside a JSON body, so write
+// "{{mode}}" with its quotes there). A request succeeds when the response status
+// is in successStatus (default: any 2xx) and, if set, the body contains
+// successBodyContains. Timeouts, network errors and failed checks are retried
+// up to `retries` times.
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT = 5000;
+const RETRY_DELAY = 250;
+
+// replace {{name}} placeholders; unknown names are left as they are
+function renderTemplate(template, vars, encode = value => value) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(vars, name) ? encode(String(vars[name])) : match
+  ));
+}
+
+// a value as it goes between the quotes of a JSON string
+function jsonEscape(value) {
+  return JSON.stringify(value).slice(1, -1);
+}
+
+// config.headers is a list of { name, value } (what the config UI can edit) or a plain object
+function normalizeHeaders(headers) {
+  if (Array.isArray(headers)) {
+    return headers.filter(h => h && h.name).map(h => ({ name: String(h.name), value: String(h.value || '') }));
+  }
+  if (headers && typeof headers === 'object') {
+    return Object.keys(headers).map(name => ({ name, value: String(headers[name]) }));
+  }
+  return [];
+}
+
+function buildRequest(config, vars) {
+  const url = new URL(renderTemplate(config.url, vars, encodeURIComponent));
+  const method = String(config.method || 'POST').toUpperCase();
+  const headers = {};
+  normalizeHeaders(config.headers).forEach((h) => {
+    headers[h.name] = renderTemplate(h.value, vars);
+  });
+  const hasBody = config.body !== undefined && config.body !== '' && method !== 'GET' && method !== 'HEAD';
+  let body = null;
+  if (hasBody) {
+    const typeName = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+    // JSON when the body's own text (leaving out placeholders) starts like JSON
+    const text = String(config.body).replace(/\{\{\s*\w+\s*\}\}/g, '');
+    if (!typeName) headers['Content-Type'] = /^\s*[[{]/.test(text) ? 'application/json' : 'text/plain';
+    const json = /[/+]json\b/i.test(headers[typeName || 'Content-Type']);
+    body = renderTemplate(config.body, vars, json ? jsonEscape : undefined);
+    headers['Content-Length'] = Buffer.byteLength(body);
+  }
+  return { url, method, headers, body };
+}
+
+function isSuccess(config, status, body) {
+  const codes = Array.isArray(config.successStatus) && config.successStatus.length > 0 ? config.successStatus : null;
+  const statusOk = codes ? codes.includes(status) : status >= 200 && status < 300;
+  if (!statusOk) return false;
+  return !config.successBodyContains || body.includes(config.successBodyContains);
+}
+
+// one attempt; resolves { status, body } or rejects on network error / timeout
+function send(request, timeout) {
+  return new Promise((resolve, reject) => {
+    const transport = request.url.protocol === 'https:' ? https : http;
+    const req = transport.request(request.url, { method: request.method, headers: request.headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString() }));
+      res.on('error', reject);
+    });
+    req.setTimeout(timeout, () => req.destroy(new Error(`timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    if (request.body !== null) req.write(request.body);
+    req.end();
+  });
+}
+
+// resolves { ok, status, attempts, error } -- never rejects
+async function callWebhook(config, vars, log = () => {}) {
+  if (!config || !config.url) return { ok: false, attempts: 0, error: 'no url configured' };
+
+  let request;
+  try {
+    request = buildRequest(config, vars);
+  } catch (e) {
+    return { ok: false, attempts: 0, error: `invalid url: ${e.message}` };
+  }
+
+  const timeout = config.timeout > 0 ? config.timeout : DEFAULT_TIMEOUT;
+  const attempts = 1 + Math.max(0, parseInt(config.retries, 10) || 0);
+  let result = { ok: false, attempts: 0 };
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (attempt > 1) await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+    try {
+      const res = await send(request, timeout);
+      result = { ok: isSuccess(config, res.status, res.body), status: res.status, attempts: attempt };
+      if (!result.ok) result.error = `unexpected response (HTTP ${res.status})`;
+    } catch (e) {
+      result = { ok: false, attempts: attempt, error: e.message };
+    }
+    if (result.ok) break;
+    if (attempt < attempts) log(`Webhook ${request.method} ${request.url.href} failed (${result.error}), retrying`);
+  }
+  return result;
+}
+
+module.exports = { callWebhook, renderTemplate, buildRequest };
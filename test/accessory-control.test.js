@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { findTarget, computeValue, shortType } = require('../lib/accessory-control');
+const { createApi } = require('./helpers/homebridge');
+
+const { hap } = createApi();
+
+const accessories = [{
+  aid: 2,
+  services: [
+    { iid: 1, type: '3E', characteristics: [{ iid: 2, type: '23', value: 'Desk Lamp', format: 'string', perms: ['pr'] }] },
+    { iid: 3, type: '43', characteristics: [{ iid: 4, type: '25', value: false, format: 'bool', perms: ['pr', 'pw'] }, { iid: 5, type: '8', value: 40, format: 'int', perms: ['pr', 'pw'] }] },
+    { iid: 6, type: '47', characteristics: [{ iid: 7, type: '25', value: true, format: 'bool', perms: ['pr', 'pw'] }, { iid: 8, type: '26', value: true, format: 'bool', perms: ['pr'] }] }
+  ]
+}];
+
+test('shortens Apple UUIDs the way HAP JSON does', () => {
+  assert.strictEqual(shortType('00000025-0000-1000-8000-0026BB765291'), '25');
+  assert.strictEqual(shortType('0000003E-0000-1000-8000-0026BB765291'), '3E');
+  assert.strictEqual(shortType('e863f10a-079e-48ff-8f27-9c2605a29f52'), 'E863F10A-079E-48FF-8F27-9C2605A29F52');
+});
+
+test('finds the characteristic by accessory name, optionally narrowed by service', () => {
+  assert.strictEqual(findTarget(accessories, { targetName: 'desk lamp', action: 'on' }, hap).characteristic.iid, 4);
+  const outlet = findTarget(accessories, { targetName: 'Desk Lamp', action: 'on', serviceType: 'Outlet' }, hap);
+  assert.strictEqual(outlet.characteristic.iid, 7);
+  assert.strictEqual(outlet.label, 'Desk Lamp Outlet.On');
+  assert.strictEqual(findTarget(accessories, { targetName: 'Desk Lamp', action: 'brightnessUp' }, hap).characteristic.iid, 5);
+});
+
+test('explains what is missing', () => {
+  assert.throws(() => findTarget(accessories, { targetName: 'Nope', action: 'on' }, hap), /no accessory named "Nope"/);
+  assert.throws(() => findTarget(accessories, { targetName: 'Desk Lamp', action: 'on', characteristic: 'Bogus' }, hap), /unknown characteristic "Bogus"/);
+  assert.throws(() => findTarget(accessories, { targetName: 'Desk Lamp', action: 'on', serviceType: 'Fanv2' }, hap),
+    /has no Fanv2 service with On; it exposes Lightbulb \(On, Brightness\), Outlet \(On\)/);
+  assert.throws(() => findTarget(accessories, { targetName: 'Desk Lamp', action: 'on', characteristic: 'OutletInUse' }, hap), /read-only/);
+});
+
+test('computes values for each action', () => {
+  const bool = { format: 'bool' };
+  const percent = { format: 'int', minValue: 0, maxValue: 100 };
+  assert.strictEqual(computeValue(bool, false, { action: 'toggle' }), true);
+  assert.strictEqual(computeValue(bool, 1, { action: 'toggle' }), false);
+  assert.strictEqual(computeValue({ format: 'uint8' }, 0, { action: 'on' }), 1);
+  assert.strictEqual(computeValue(bool, null, { action: 'set', value: 'off' }), false);
+  assert.strictEqual(computeValue(percent, 0, { action: 'set', value: '42.4' }), 42);
+  assert.strictEqual(computeValue(percent, 95, { action: 'brightnessUp' }), 100);
+  assert.strictEqual(computeValue(percent, 100, { action: 'increment', step: 5 }), undefined);
+  assert.strictEqual(computeValue({ format: 'float', minStep: 0.5 }, 20, { action: 'decrement' }), 19.5);
+  assert.strictEqual(computeValue(percent, 50, { action: 'cycle', values: [0, 50, 100] }), 100);
+  assert.strictEqual(computeValue(percent, 100, { action: 'cycle', values: [0, 50, 100] }), 0);
+  assert.strictEqual(computeValue({ format: 'uint8', 'valid-values': [0, 1, 3] }, 3, { action: 'cycle' }), 0);
+  assert.throws(() => computeValue(percent, 0, { action: 'set' }), /needs a value/);
+  assert.throws(() => computeValue(percent, 0, { action: 'set', value: 'loud' }), /not a number/);
+  assert.throws(() => computeValue(bool, true, { action: 'increment' }), /on\/off/);
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const IPortSimulator = require('../tools/iport-simulator');
+const ApiClient = require('../lib/api-client');
+const { createPlatform, waitFor } = require('./helpers/homebridge');
+
+describe('API client against the HTTP API', () => {
+  let sim;
+  let api;
+  let platform;
+  let device;
+  let client;
+
+  before(async () => {
+    sim = new IPortSimulator({ led: '000000255' });
+    await sim.listen();
+    ({ api, platform } = createPlatform({
+      name: 'Hall Keypad',
+      ip: '127.0.0.1',
+      port: sim.port,
+      reconnectDelay: 50,
+      doublePressWindow: 0,
+      longPressThreshold: 0,
+      httpApi: { port: 0, host: '0.0.0.0', token: 'secret' }
+    }));
+    device = platform.devices[0];
+    await waitFor(() => device.connected && platform.httpApi.server.listening);
+    api.emit('didFinishLaunching');
+    await waitFor(() => device.getCurrentMode() === 'blue');
+    client = new ApiClient({ port: platform.httpApi.port, host: '0.0.0.0', token: 'secret' });
+  });
+
+  after(async () => {
+    client.unsubscribe();
+    api.emit('shutdown');
+    await platform.httpApi.stop();
+    await sim.close();
+  });
+
+  it('reaches a wildcard listen address locally', async () => {
+    const devices = await client.get('/api/devices');
+    assert.strictEqual(devices[0].id, 'hall-keypad');
+    assert.strictEqual(devices[0].mode, 'blue');
+  });
+
+  it('explains a wrong token and an unreachable API', async () => {
+    const wrong = new ApiClient({ port: platform.httpApi.port, token: 'nope' });
+    await assert.rejects(wrong.get('/api/devices'), /rejected the token/);
+    await assert.rejects(wrong.subscribe(() => {}), /rejected the token/);
+    const closed = new ApiClient({ port: 1 });
+    await assert.rejects(closed.get('/api/devices'), /nothing is listening on 127\.0\.0\.1:1/);
+  });
+
+  it('follows presses on the event stream until unsubscribed', async () => {
+    const events = [];
+    let ended = false;
+    await client.subscribe((name, data) => events.push({ name, data }), () => { ended = true; });
+    await sim.press(3);
+    await waitFor(() => events.some(e => e.name === 'press'));
+    const press = events.find(e => e.name === 'press').data;
+    assert.strictEqual(press.device, 'hall-keypad');
+    assert.strictEqual(press.button, 3);
+    assert.strictEqual(press.pressType, 'single');
+
+    client.unsubscribe();
+    await sim.press(4);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.ok(!events.some(e => e.name === 'press' && e.data.button === 4));
+    assert.strictEqual(ended, false);
+  });
+
+  it('reports a stream the plugin closes', async () => {
+    let ended = false;
+    await client.subscribe(() => {}, () => { ended = true; });
+    await platform.httpApi.stop();
+    await waitFor(() => ended);
+  });
+});
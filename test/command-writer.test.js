@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CommandWriter = require('../lib/command-writer');
+const { waitFor, delay } = require('./helpers/homebridge');
+
+function createWriter(options) {
+  const written = [];
+  const writer = new CommandWriter(raw => written.push({ raw, at: Date.now() }), options);
+  return { writer, written };
+}
+
+test('writes in order with a minimum interval between commands', async () => {
+  const { writer, written } = createWriter({ minInterval: 30 });
+  writer.setConnected(true);
+  writer.send('a');
+  writer.send('b');
+  writer.send('c');
+  assert.deepStrictEqual(written.map(w => w.raw), ['a']);
+  await waitFor(() => written.length === 3);
+  assert.deepStrictEqual(written.map(w => w.raw), ['a', 'b', 'c']);
+  assert.ok(written[2].at - written[1].at >= 25);
+});
+
+test('coalesces queued commands with the same key', async () => {
+  const { writer, written } = createWriter({ minInterval: 30 });
+  writer.setConnected(true);
+  writer.send('led=1', { key: 'led' });
+  writer.send('led=2', { key: 'led' });
+  writer.send('q', { key: 'query' });
+  writer.send('led=3', { key: 'led' });
+  await waitFor(() => writer.pending === 0);
+  assert.deepStrictEqual(written.map(w => w.raw), ['led=1', 'led=3', 'q']);
+});
+
+test('rejects unbuffered commands while disconnected and flushes buffered ones on reconnect', async () => {
+  const { writer, written } = createWriter({ minInterval: 0 });
+  assert.strictEqual(writer.send('q'), false);
+  assert.strictEqual(writer.send('led=1', { key: 'led', buffer: true }), true);
+  assert.strictEqual(writer.send('led=2', { key: 'led', buffer: true }), true);
+  assert.deepStrictEqual(written, []);
+  writer.setConnected(true);
+  assert.deepStrictEqual(written.map(w => w.raw), ['led=2']);
+});
+
+test('drops unbuffered commands still queued when the connection goes away', async () => {
+  const { writer, written } = createWriter({ minInterval: 30 });
+  writer.setConnected(true);
+  writer.send('a');
+  writer.send('b');
+  writer.send('led', { key: 'led', buffer: true });
+  writer.setConnected(false);
+  await delay(50);
+  assert.deepStrictEqual(written.map(w => w.raw), ['a']);
+  writer.setConnected(true);
+  await waitFor(() => written.length === 2);
+  assert.strictEqual(written[1].raw, 'led');
+});
+
+test('refuses new commands once the queue is full', () => {
+  const { writer } = createWriter({ maxQueue: 2 });
+  assert.strictEqual(writer.send('a', { buffer: true }), true);
+  assert.strictEqual(writer.send('b', { buffer: true }), true);
+  assert.strictEqual(writer.send('c', { buffer: true }), false);
+  assert.strictEqual(writer.send('b2', { key: 'b', buffer: true }), false);
+});
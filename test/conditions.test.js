@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTime, timeConditionsPass, conditionWarnings } = require('../lib/conditions');
+const { sunTimes } = require('../lib/sun');
+
+const AMSTERDAM = { latitude: 52.37, longitude: 4.9 };
+const MINUTE = 60000;
+
+// local time on Wednesday 2024-06-19
+function at(hours, minutes = 0) {
+  return new Date(2024, 5, 19, hours, minutes);
+}
+
+test('parses clock and sun times', () => {
+  assert.deepStrictEqual(parseTime('22:30'), { minutes: 1350 });
+  assert.deepStrictEqual(parseTime('7:05'), { minutes: 425 });
+  assert.deepStrictEqual(parseTime('Sunset-30'), { sun: 'sunset', offset: -30 });
+  assert.deepStrictEqual(parseTime('sunrise + 15'), { sun: 'sunrise', offset: 15 });
+  assert.strictEqual(parseTime('25:00'), null);
+  assert.strictEqual(parseTime('noon'), null);
+});
+
+test('computes sunrise and sunset offline', () => {
+  const { sunrise, sunset } = sunTimes(new Date(Date.UTC(2024, 5, 21, 12)), AMSTERDAM.latitude, AMSTERDAM.longitude);
+  // published: 03:18 and 20:06 UTC
+  assert.ok(Math.abs(sunrise - Date.UTC(2024, 5, 21, 3, 18)) < 3 * MINUTE, sunrise.toISOString());
+  assert.ok(Math.abs(sunset - Date.UTC(2024, 5, 21, 20, 6)) < 3 * MINUTE, sunset.toISOString());
+  assert.deepStrictEqual(sunTimes(new Date(Date.UTC(2024, 5, 21, 12)), 78.2, 15.6), { sunrise: null, sunset: null });
+});
+
+test('checks clock windows, including ones over midnight', () => {
+  const day = { after: '08:00', before: '18:00' };
+  assert.strictEqual(timeConditionsPass(day, at(12), null), true);
+  assert.strictEqual(timeConditionsPass(day, at(18), null), false);
+  assert.strictEqual(timeConditionsPass(day, at(7, 59), null), false);
+
+  const night = { after: '22:00', before: '06:00' };
+  assert.strictEqual(timeConditionsPass(night, at(23), null), true);
+  assert.strictEqual(timeConditionsPass(night, at(3), null), true);
+  assert.strictEqual(timeConditionsPass(night, at(12), null), false);
+
+  assert.strictEqual(timeConditionsPass({ after: '20:00' }, at(21), null), true);
+  assert.strictEqual(timeConditionsPass({ before: '20:00' }, at(21), null), false);
+  assert.strictEqual(timeConditionsPass(undefined, at(21), null), true);
+});
+
+test('checks sun times against the configured location', () => {
+  const now = at(12);
+  const sunset = sunTimes(new Date(2024, 5, 19, 12), AMSTERDAM.latitude, AMSTERDAM.longitude).sunset;
+  const before = new Date(sunset.getTime() - 40 * MINUTE);
+  const after = new Date(sunset.getTime() - 20 * MINUTE);
+  const evening = { after: 'sunset-30', before: '23:59' };
+  assert.strictEqual(timeConditionsPass(evening, before, AMSTERDAM), false);
+  assert.strictEqual(timeConditionsPass(evening, after, AMSTERDAM), true);
+  // without a location a sun condition never passes
+  assert.strictEqual(timeConditionsPass({ before: 'sunset' }, now, null), false);
+});
+
+test('checks the day of the week', () => {
+  assert.strictEqual(timeConditionsPass({ days: ['mon', 'Wednesday'] }, at(12), null), true);
+  assert.strictEqual(timeConditionsPass({ days: ['sat', 'sun'] }, at(12), null), false);
+  assert.strictEqual(timeConditionsPass({ days: [] }, at(12), null), true);
+});
+
+test('warns about conditions that can never work', () => {
+  const warnings = conditionWarnings([
+    { targetName: 'Lamp', conditions: { after: 'dusk', days: ['funday'] } },
+    { targetName: 'Lamp', conditions: { before: 'sunrise' } },
+    { actionType: 'mode', conditions: { targetState: 'on' } },
+    { targetName: 'Lamp', conditions: { after: '22:00', targetState: 'off' } }
+  ], null);
+  assert.deepStrictEqual(warnings, [
+    'Mapping 1: "dusk" is not a time (use HH:MM, sunrise or sunset, e.g. sunset-30)',
+    'Mapping 1: unknown day "funday"',
+    'Mapping 2: sunrise conditions need latitude and longitude in the platform config',
+    'Mapping 3: targetState needs a targetName or stateTargetName'
+  ]);
+});
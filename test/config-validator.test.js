@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkSettings, checkPlatform, checkMappings, checkSwitchModes, checkButtonSensors } = require('../lib/config-validator');
+
+const KEYPAD = { buttons: 10, modeButton: 10, modes: ['red', 'green', 'blue'] };
+
+function problems(mappings, keypad = KEYPAD) {
+  return checkMappings(mappings, keypad).map(({ index, message }) => `${index + 1}: ${message}`);
+}
+
+test('reports settings that cannot be used', () => {
+  assert.deepStrictEqual(checkSettings({ ip: 'keypad.local', port: 10001, pollInterval: 40, latitude: 52.4 }), []);
+  assert.deepStrictEqual(checkSettings({ ip: '192.168.2.300 ', port: 70000, triggerResetDelay: -1, maxMissedPolls: 1.5 }).map(p => p.key),
+    ['ip', 'port', 'maxMissedPolls', 'triggerResetDelay']);
+  assert.strictEqual(checkSettings({ timeout: '5s' })[0].message, 'timeout "5s" is not a number of at least 1, using the default');
+});
+
+test('reports integrations that cannot start', () => {
+  assert.deepStrictEqual(checkPlatform({ mqtt: { url: 'mqtt://localhost:1883' }, httpApi: { port: 0 }, hap: {} }), []);
+  assert.deepStrictEqual(checkPlatform({ mqtt: { url: 'localhost:1883' }, httpApi: { port: 'x' }, hap: { port: 99999 } }).map(p => p.key),
+    ['mqtt', 'httpApi', 'hap']);
+});
+
+test('finds mappings that can never fire, by mapping number', () => {
+  assert.deepStrictEqual(problems([
+    { buttonNumber: 1, modeColor: 'red', actionType: 'accessory', targetName: 'Lamp', action: 'on' },
+    { buttonNumber: 1, modeColor: 'Red', actionType: 'accessory', targetName: 'Fan', action: 'on' },
+    { buttonNumber: 10, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'on' },
+    { buttonNumber: 10, pressType: 'double', modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'on' },
+    { buttonNumber: 11, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'on' },
+    { buttonNumber: 2, modeColor: 'purple', actionType: 'led', action: 'on' },
+    { buttonNumber: 3, modeColor: 'any', actionType: 'mode', action: 'set' },
+    { buttonNumber: 4, actionType: 'macro' }
+  ]), [
+    '2: never runs: mapping 1 handles the same press in the same mode first (give one of them conditions, or remove one)',
+    '3: button 10 is the mode button, its single press cycles the modes (map a double or long press, or set modeButton to 0)',
+    '5: uses button 11, but the keypad has buttons 1 to 10',
+    '6: modeColor "purple" is not a configured mode (red, green, blue or any)',
+    '6: led action needs a ledColor',
+    '7: mode action "set" needs a targetMode',
+    '8: has no modeColor (a mode name, or any)',
+    '8: macro has no steps'
+  ]);
+});
+
+test('lets a conditional mapping fall back to a later one', () => {
+  assert.deepStrictEqual(problems([
+    { buttonNumber: 1, modeColor: 'any', actionType: 'scene', targetName: 'Night', conditions: { after: '22:00' } },
+    { buttonNumber: 1, modeColor: 'any', actionType: 'scene', targetName: 'Day' },
+    { buttonNumber: 1, pressType: 'hold', modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'brightnessUp' }
+  ]), []);
+});
+
+test('reports long presses a hold mapping on the same button takes over', () => {
+  assert.deepStrictEqual(problems([
+    { buttonNumber: 1, pressType: 'long', modeColor: 'red', actionType: 'scene', targetName: 'A' },
+    { buttonNumber: 1, pressType: 'hold', modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'brightnessUp' },
+    { buttonNumber: 2, pressType: 'long', modeColor: 'any', actionType: 'scene', targetName: 'B' },
+    { buttonNumber: 2, pressType: 'hold', modeColor: 'red', actionType: 'accessory', targetName: 'Lamp', action: 'brightnessUp' },
+    { buttonNumber: 3, pressType: 'long', modeColor: 'any', actionType: 'scene', targetName: 'C' },
+    { buttonNumber: 3, pressType: 'hold', modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'brightnessUp', conditions: { after: '22:00' } }
+  ]), [
+    '1: never runs: mapping 2 holds button 1 in the same mode, so a long press is never detected (give the hold conditions, or remove one)'
+  ]);
+});
+
+test('needs a step action on hold mappings', () => {
+  assert.deepStrictEqual(problems([
+    { buttonNumber: 1, pressType: 'hold', modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle' },
+    { buttonNumber: 2, pressType: 'hold', modeColor: 'any', actionType: 'scene', targetName: 'Night' },
+    { buttonNumber: 3, pressType: 'hold', modeColor: 'any', actionType: 'accessory', targetName: 'Fan', action: 'increment', characteristic: 'RotationSpeed' }
+  ]), [
+    '1: hold repeats its action, so it needs an accessory action that steps (brightnessUp, brightnessDown, increment, decrement), not "toggle"',
+    '2: hold repeats its action, so it needs an accessory action that steps (brightnessUp, brightnessDown, increment, decrement), not a scene action'
+  ]);
+});
+
+test('checks chords, sequences and codes against the keypad', () => {
+  assert.deepStrictEqual(problems([
+    { pressType: 'chord', buttons: [2, 1], modeColor: 'any', actionType: 'scene', targetName: 'A' },
+    { pressType: 'chord', buttons: [1, 2], modeColor: 'any', actionType: 'scene', targetName: 'B' },
+    { pressType: 'sequence', buttons: [1, 3], modeColor: 'any', actionType: 'scene', targetName: 'C' },
+    { pressType: 'code', code: '13', modeColor: 'any', actionType: 'scene', targetName: 'D' },
+    { pressType: 'code', code: '7', modeColor: 'any', actionType: 'scene', targetName: 'E' },
+    { pressType: 'sequence', buttons: [1, 5], modeColor: 'any', actionType: 'scene', targetName: 'F' }
+  ], { buttons: 4, modeButton: 4, modes: ['red'] }), [
+    '2: never runs: mapping 1 handles the same press in the same mode first (give one of them conditions, or remove one)',
+    '4: never runs: mapping 3 handles the same press in the same mode first (give one of them conditions, or remove one)',
+    '5: code needs at least two digits',
+    '6: sequence buttons must be whole numbers from 1 to 4'
+  ]);
+});
+
+test('keeps switches momentary when their switchMode cannot be used', () => {
+  assert.deepStrictEqual(checkSwitchModes([
+    { buttonNumber: 1, modeColor: 'any', targetName: 'Lamp', action: 'toggle', switchMode: 'Mirror' },
+    { buttonNumber: 2, modeColor: 'any', actionType: 'scene', targetName: 'Night', switchMode: 'latching' },
+    { buttonNumber: 3, modeColor: 'any', actionType: 'scene', targetName: 'Day', switchMode: 'mirror' },
+    { buttonNumber: 4, modeColor: 'any', targetName: 'Fan', action: 'on', switchMode: 'sticky' }
+  ]).map(({ index, message }) => `${index + 1}: ${message}`), [
+    '3: switchMode "mirror" needs an accessory action with a targetName to mirror, its switch stays momentary',
+    '4: switchMode "sticky" is not one of momentary, latching, mirror, its switch stays momentary'
+  ]);
+});
+
+test('reports held-button sensors the keypad cannot have', () => {
+  assert.deepStrictEqual(checkButtonSensors([
+    { buttonNumber: 1 },
+    { buttonNumber: 2, type: 'Contact' },
+    { buttonNumber: 11, type: 'occupancy' },
+    { buttonNumber: 3, type: 'motion' }
+  ], 10).map(p => p.message), [
+    'Button sensor 3 uses button 11, but the keypad has buttons 1 to 10',
+    'Button sensor 4 type "motion" is not one of occupancy, contact'
+  ]);
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const FrameParser = require('../lib/frame-parser');
+
+// collect every dispatched frame as [kind, payload]
+function createParser(options) {
+  const frames = [];
+  const parser = new FrameParser({
+    onJson: json => frames.push(['json', json]),
+    onLed: value => frames.push(['led', value]),
+    onUnknown: raw => frames.push(['unknown', raw]),
+    onError: (err, raw) => frames.push(['error', raw])
+  }, Object.assign({ flushTimeout: 0 }, options));
+  return { parser, frames };
+}
+
+const press = '{"events":[{"label":"Key 3","state":"1"}]}';
+const release = '{"events":[{"label":"Key 3","state":"0"}]}';
+
+test('parses a complete JSON frame', () => {
+  const { parser, frames } = createParser();
+  parser.push(press);
+  assert.deepStrictEqual(frames, [['json', { events: [{ label: 'Key 3', state: '1' }] }]]);
+});
+
+test('reassembles a JSON frame split across chunks', () => {
+  const { parser, frames } = createParser();
+  parser.push('{"events":[{"label":"Ke');
+  parser.push('y 3","sta');
+  assert.strictEqual(frames.length, 0);
+  parser.push('te":"1"}]}');
+  assert.strictEqual(frames.length, 1);
+  assert.strictEqual(frames[0][1].events[0].label, 'Key 3');
+});
+
+test('splits JSON frames merged into one chunk without delimiters', () => {
+  const { parser, frames } = createParser();
+  parser.push(press + release);
+  assert.deepStrictEqual(frames.map(f => f[1].events[0].state), ['1', '0']);
+});
+
+test('splits mixed text and JSON frames on CR and LF', () => {
+  const { parser, frames } = createParser();
+  parser.push('\rled=255000000\r\n' + press + '\n255255000\r');
+  assert.deepStrictEqual(frames.map(f => f[0]), ['led', 'json', 'led']);
+  assert.strictEqual(frames[0][1], '255000000');
+  assert.strictEqual(frames[2][1], '255255000');
+});
+
+test('text frame directly followed by JSON is split at the brace', () => {
+  const { parser, frames } = createParser();
+  parser.push('led=000255000' + press);
+  assert.deepStrictEqual(frames.map(f => f[0]), ['led', 'json']);
+});
+
+test('reassembles a text frame split across chunks', () => {
+  const { parser, frames } = createParser();
+  parser.push('led=255');
+  parser.push('000');
+  assert.strictEqual(frames.length, 0);
+  parser.push('000\r');
+  assert.deepStrictEqual(frames, [['led', '255000000']]);
+});
+
+test('braces inside JSON strings do not end the frame', () => {
+  const { parser, frames } = createParser();
+  parser.push('{"label":"a } \\" {","state":"1"}');
+  assert.deepStrictEqual(frames, [['json', { label: 'a } " {', state: '1' }]]);
+});
+
+test('ignores the echoed led=? query and reports other text as unknown', () => {
+  const { parser, frames } = createParser();
+  parser.push('led=?\rOK\r');
+  assert.deepStrictEqual(frames, [['unknown', 'OK']]);
+});
+
+test('reports malformed JSON and keeps parsing', () => {
+  const { parser, frames } = createParser();
+  parser.push('{"events":[}' + press);
+  assert.deepStrictEqual(frames.map(f => f[0]), ['error', 'json']);
+});
+
+test('reports a throwing handler and keeps parsing', () => {
+  const errors = [];
+  const seen = [];
+  const parser = new FrameParser({
+    onJson: (json) => {
+      if (!json.events) throw new Error('no events');
+      seen.push(json);
+    },
+    onError: (err, raw) => errors.push([err.message, raw])
+  }, { flushTimeout: 0 });
+  assert.doesNotThrow(() => parser.push('{"led":"1"}' + press));
+  assert.deepStrictEqual(errors, [['no events', '{"led":"1"}']]);
+  assert.strictEqual(seen.length, 1);
+});
+
+test('flushes an unterminated text frame after the idle timeout', async () => {
+  const { parser, frames } = createParser({ flushTimeout: 10 });
+  parser.push('255000255');
+  assert.strictEqual(frames.length, 0);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.deepStrictEqual(frames, [['led', '255000255']]);
+});
+
+test('discards the buffer when a frame exceeds the size limit', () => {
+  const { parser, frames } = createParser({ maxBufferSize: 16 });
+  parser.push('{"events":[{"label":"Key 1"');
+  assert.deepStrictEqual(frames.map(f => f[0]), ['error']);
+  parser.push(press);
+  assert.deepStrictEqual(frames.map(f => f[0]), ['error', 'json']);
+});
+
+test('reset drops a pending partial frame', () => {
+  const { parser, frames } = createParser();
+  parser.push('{"events":[');
+  parser.reset();
+  parser.push(release);
+  assert.strictEqual(frames.length, 1);
+  assert.strictEqual(frames[0][1].events[0].state, '0');
+});
@@ -0,0 +1,108 @@
+// Fake Homebridge HAP server in insecure mode: serves /accessories and
+// /characteristics in HAP JSON, answering only when the PIN is sent as the
+// Authorization header (470 otherwise, like HAP-NodeJS).
+//
+// accessories: [{ name, services: [{ type, characteristics: { On: { value, format, minValue, ... } } }] }]
+// Set `latency` (ms) on the returned bridge to answer like a slow one.
+
+const http = require('http');
+const { HAP_IDS } = require('./homebridge');
+
+function toHap(accessories) {
+  let aid = 0;
+  return accessories.map((spec) => {
+    let iid = 0;
+    const characteristic = (type, props) => Object.assign({
+      iid: ++iid,
+      type: HAP_IDS[type],
+      perms: props.readOnly ? ['pr', 'ev'] : ['pr', 'pw', 'ev'],
+      format: 'int'
+    }, props, { readOnly: undefined });
+    const info = { iid: ++iid, type: '3E', characteristics: [characteristic('Name', { value: spec.name, format: 'string', readOnly: true })] };
+    const services = spec.services.map(service => ({
+      iid: ++iid,
+      type: HAP_IDS[service.type],
+      characteristics: Object.keys(service.characteristics).map(type => characteristic(type, service.characteristics[type]))
+    }));
+    return { aid: ++aid, services: [info].concat(services) };
+  });
+}
+
+async function startHapBridge(accessories, pin = '031-45-154') {
+  const hap = toHap(accessories);
+  const writes = [];
+  let bridge;
+  const find = (aid, iid) => {
+    const accessory = hap.find(a => a.aid === aid);
+    if (!accessory) return null;
+    for (const service of accessory.services) {
+      const characteristic = service.characteristics.find(c => c.iid === iid);
+      if (characteristic) return characteristic;
+    }
+    return null;
+  };
+
+  const server = http.createServer((req, res) => {
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/hap+json' });
+      res.end(data === undefined ? undefined : JSON.stringify(data));
+    };
+    if (req.headers.authorization !== pin) return send(470, { status: -70401 });
+    const url = new URL(req.url, 'http://localhost');
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => setTimeout(() => {
+      if (req.method === 'GET' && url.pathname === '/accessories') return send(200, { accessories: hap });
+      if (req.method === 'GET' && url.pathname === '/characteristics') {
+        const characteristics = url.searchParams.get('id').split(',').map((id) => {
+          const [aid, iid] = id.split('.').map(Number);
+          const c = find(aid, iid);
+          return c ? { aid, iid, value: c.value } : { aid, iid, status: -70409 };
+        });
+        return send(characteristics.some(c => c.status) ? 207 : 200, { characteristics });
+      }
+      if (req.method === 'PUT' && url.pathname === '/characteristics') {
+        const results = JSON.parse(body).characteristics.map(({ aid, iid, value }) => {
+          const c = find(aid, iid);
+          if (!c) return { aid, iid, status: -70409 };
+          c.value = value;
+          writes.push({ aid, iid, value });
+          return { aid, iid, status: 0 };
+        });
+        if (results.every(r => r.status === 0)) return send(204);
+        return send(207, { characteristics: results });
+      }
+      return send(404);
+    }, bridge.latency));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const characteristicOf = (name, type) => {
+    const accessory = hap[accessories.findIndex(a => a.name === name)];
+    for (const service of accessory.services) {
+      const c = service.characteristics.find(ch => ch.type === HAP_IDS[type]);
+      if (c) return c;
+    }
+    return undefined;
+  };
+
+  bridge = {
+    port: server.address().port,
+    pin,
+    writes,
+    latency: 0,
+    // current value of an accessory's characteristic, by names
+    value(name, type) {
+      const c = characteristicOf(name, type);
+      return c ? c.value : undefined;
+    },
+    // change a value from outside the plugin (another controller, the Home app)
+    set(name, type, value) {
+      characteristicOf(name, type).value = value;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+  return bridge;
+}
+
+module.exports = { startHapBridge };
@@ -0,0 +1,237 @@
+// Minimal stand-in for the Homebridge API and HAP classes the plugin touches.
+// Enough to run IPortSMButtonsPlatform end to end without a real Homebridge.
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+class Characteristic extends EventEmitter {
+  constructor(name, UUID) {
+    super();
+    this.displayName = name;
+    this.UUID = UUID;
+    this.value = null;
+    this.getHandler = null;
+    this.setHandler = null;
+  }
+
+  onGet(handler) {
+    this.getHandler = handler;
+    return this;
+  }
+
+  onSet(handler) {
+    this.setHandler = handler;
+    return this;
+  }
+
+  // like HAP: value from HomeKit goes through the onSet handler
+  async setValue(value) {
+    if (this.setHandler) await this.setHandler(value);
+    this.updateValue(value);
+    return this;
+  }
+
+  updateValue(value) {
+    this.value = value;
+    this.emit('change', value);
+    return this;
+  }
+
+  setProps() {
+    return this;
+  }
+}
+
+class Service {
+  constructor(displayName, subtype) {
+    this.displayName = displayName;
+    this.subtype = subtype;
+    this.UUID = this.constructor.UUID;
+    this.characteristics = [];
+  }
+
+  getCharacteristic(type) {
+    let characteristic = this.characteristics.find(c => c.UUID === type.UUID);
+    if (!characteristic) {
+      characteristic = new type();
+      this.characteristics.push(characteristic);
+    }
+    return characteristic;
+  }
+
+  testCharacteristic(type) {
+    return this.characteristics.some(c => c.UUID === type.UUID);
+  }
+
+  addCharacteristic(type) {
+    return this.getCharacteristic(type);
+  }
+
+  setCharacteristic(type, value) {
+    this.getCharacteristic(type).setValue(value);
+    return this;
+  }
+
+  updateCharacteristic(type, value) {
+    this.getCharacteristic(type).updateValue(value);
+    return this;
+  }
+}
+
+// the real HAP UUIDs (short form) of the types used here, so HAP JSON lookups match
+const HAP_IDS = {
+  AccessoryInformation: '3E', StatelessProgrammableSwitch: '89', Lightbulb: '43', Switch: '49', ServiceLabel: 'CC',
+  ContactSensor: '80', OccupancySensor: '86', InputSource: 'D9', Television: 'D8', Fanv2: 'B7', LockMechanism: '45',
+  WindowCovering: '8C', Outlet: '47',
+  Name: '23', On: '25', Hue: '13', Saturation: '2F', Brightness: '8', ProgrammableSwitchEvent: '73',
+  ServiceLabelNamespace: 'CD', ServiceLabelIndex: 'CB', ContactSensorState: '6A', OccupancyDetected: '71',
+  StatusFault: '77', ConfiguredName: 'E3', Active: 'B0', RotationSpeed: '29', LockTargetState: '1E',
+  TargetPosition: '7C', OutletInUse: '26'
+};
+
+function hapUUID(name) {
+  return `${HAP_IDS[name].padStart(8, '0')}-0000-1000-8000-0026BB765291`;
+}
+
+function defineTypes(base, names) {
+  const types = {};
+  names.forEach((name) => {
+    const UUID = hapUUID(name);
+    types[name] = class extends base {
+      constructor(...args) {
+        if (base === Characteristic) super(name, UUID);
+        else super(...args);
+      }
+    };
+    types[name].UUID = UUID;
+  });
+  return types;
+}
+
+const ServiceTypes = defineTypes(Service, [
+  'AccessoryInformation', 'StatelessProgrammableSwitch', 'Lightbulb', 'Switch', 'ServiceLabel',
+  'ContactSensor', 'OccupancySensor', 'InputSource', 'Television', 'Fanv2', 'LockMechanism', 'WindowCovering', 'Outlet'
+]);
+
+const CharacteristicTypes = defineTypes(Characteristic, [
+  'Name', 'On', 'Hue', 'Saturation', 'Brightness', 'ProgrammableSwitchEvent', 'ServiceLabelNamespace',
+  'ServiceLabelIndex', 'ContactSensorState', 'OccupancyDetected', 'StatusFault', 'ConfiguredName',
+  'Active', 'RotationSpeed', 'LockTargetState', 'TargetPosition', 'OutletInUse'
+]);
+
+class PlatformAccessory {
+  constructor(displayName, UUID) {
+    this.displayName = displayName;
+    this.UUID = UUID;
+    this.context = {};
+    this.services = [new ServiceTypes.AccessoryInformation(displayName)];
+  }
+
+  addService(type, name, subtype) {
+    const service = typeof type === 'function' ? new type(name, subtype) : type;
+    if (this.services.some(s => s.UUID === service.UUID && s.subtype === service.subtype)) {
+      throw new Error(`Cannot add a Service with the same UUID '${service.UUID}' and subtype '${service.subtype}' as another Service in this Accessory.`);
+    }
+    this.services.push(service);
+    return service;
+  }
+
+  getService(nameOrType) {
+    if (typeof nameOrType === 'string') return this.services.find(s => s.displayName === nameOrType || s.subtype === nameOrType);
+    return this.services.find(s => s.UUID === nameOrType.UUID);
+  }
+
+  getServiceById(type, subtype) {
+    return this.services.find(s => s.UUID === type.UUID && s.subtype === subtype);
+  }
+
+  removeService(service) {
+    this.services = this.services.filter(s => s !== service);
+  }
+}
+
+// temporary storage paths, removed when the test process exits
+const storagePaths = [];
+process.on('exit', () => {
+  storagePaths.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function createApi() {
+  const api = new EventEmitter();
+  const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'iport-hb-'));
+  storagePaths.push(storagePath);
+  api.hap = {
+    Service: ServiceTypes,
+    Characteristic: CharacteristicTypes,
+    uuid: { generate: name => crypto.createHash('sha1').update(name).digest('hex') }
+  };
+  api.platformAccessory = PlatformAccessory;
+  api.registered = [];
+  api.unregistered = [];
+  api.user = { storagePath: () => storagePath, configPath: () => path.join(storagePath, 'config.json') };
+  api.registerPlatform = (pluginName, platformName, constructor) => {
+    api.platformConstructor = constructor;
+  };
+  api.registerPlatformAccessories = (pluginName, platformName, accessories) => {
+    api.registered.push(...accessories);
+  };
+  api.unregisterPlatformAccessories = (pluginName, platformName, accessories) => {
+    api.unregistered.push(...accessories);
+  };
+  api.updatePlatformAccessories = () => {};
+  return api;
+}
+
+function createLog() {
+  const lines = [];
+  const log = msg => lines.push(msg);
+  ['info', 'warn', 'error', 'debug'].forEach((level) => {
+    log[level] = msg => lines.push(msg);
+  });
+  log.lines = lines;
+  return log;
+}
+
+// load the plugin against a fresh mock API and construct the platform
+function createPlatform(config, options = {}) {
+  const api = options.api || createApi();
+  const log = createLog();
+  const consoleLog = console.log;
+  console.log = () => {};
+  try {
+    delete require.cache[require.resolve('../../index.js')];
+    require('../../index.js')(api);
+  } finally {
+    console.log = consoleLog;
+  }
+  const platform = new api.platformConstructor(log, config, api);
+  (options.cachedAccessories || []).forEach(accessory => platform.configureAccessory(accessory));
+  return { platform, api, log };
+}
+
+function waitFor(predicate, timeout = 2000, interval = 10) {
+  return new Promise((resolve, reject) => {
+    const start = Date.now();
+    const check = () => {
+      let result;
+      try {
+        result = predicate();
+      } catch (e) {
+        result = false;
+      }
+      if (result) return resolve(result);
+      if (Date.now() - start > timeout) return reject(new Error('Timed out waiting for condition'));
+      setTimeout(check, interval);
+    };
+    check();
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { HAP_IDS, createApi, createPlatform, createLog, waitFor, delay, PlatformAccessory, Service: ServiceTypes, Characteristic: CharacteristicTypes };
@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const IPortSimulator = require('../tools/iport-simulator');
+const { createPlatform, waitFor } = require('./helpers/homebridge');
+const { startHapBridge } = require('./helpers/hap-bridge');
+
+// runs the settings page server the way Config UI X does: a child process
+// answering { action: 'request' } messages over IPC
+describe('settings page server', () => {
+  let bridge;
+  let dir;
+  let child;
+  const pushed = [];
+  const pending = new Map();
+  let nextId = 0;
+
+  function request(route, body) {
+    const requestId = String(++nextId);
+    return new Promise((resolve, reject) => {
+      pending.set(requestId, { resolve, reject });
+      child.send({ action: 'request', requestId, path: route, body });
+    });
+  }
+
+  before(async () => {
+    bridge = await startHapBridge([
+      { name: 'Lamp', services: [{ type: 'Lightbulb', characteristics: { On: { value: false, format: 'bool' } } }] },
+      { name: 'Fan', services: [{ type: 'Switch', characteristics: { On: { value: false, format: 'bool' } } }] },
+      { name: 'Lamp', services: [{ type: 'Switch', characteristics: { On: { value: false, format: 'bool' } } }] }
+    ]);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iport-ui-'));
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ bridge: { name: 'Homebridge', port: bridge.port, pin: bridge.pin }, platforms: [] }));
+
+    child = fork(path.join(__dirname, '..', 'homebridge-ui', 'server.js'), [], {
+      env: Object.assign({}, process.env, { HOMEBRIDGE_CONFIG_PATH: configPath }),
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+    });
+    const ready = new Promise(resolve => child.on('message', (message) => {
+      if (message.action === 'ready') resolve();
+      if (message.action === 'stream') pushed.push(message.payload);
+      if (message.action === 'response') {
+        const { requestId, success, data } = message.payload;
+        const waiting = pending.get(requestId);
+        pending.delete(requestId);
+        if (success) waiting.resolve(data);
+        else waiting.reject(Object.assign(new Error(data.message), data));
+      }
+    }));
+    await ready;
+  });
+
+  after(async () => {
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.disconnect(); // the server stops itself once Config UI X goes away
+    await exited;
+    await bridge.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('describes the configured keypads', async () => {
+    const single = await request('/devices', { name: 'Hall Keypad', model: '8-key' });
+    assert.deepStrictEqual(single, [{
+      id: 'hall-keypad', name: 'Hall Keypad', deviceIndex: null, buttons: 8, modeButton: 8,
+      modes: ['red', 'green', 'blue', 'yellow', 'purple', 'white']
+    }]);
+
+    const multi = await request('/devices', {
+      modes: [{ name: 'day', red: 255, green: 255, blue: 0 }, { name: 'night', red: 0, green: 0, blue: 255 }],
+      devices: [{ name: 'Hall' }, { name: 'Hall', model: '4-key' }, { model: '2-key' }]
+    });
+    // like the plugin: the duplicate is skipped, indexes still point into devices
+    assert.deepStrictEqual(multi.map(d => [d.id, d.deviceIndex, d.buttons, d.modeButton]), [['hall', 0, 10, 10], ['iport-sm-buttons-3', 2, 2, 0]]);
+    assert.deepStrictEqual(multi[1].modes, ['day', 'night']);
+  });
+
+  it('lists accessory names from the bridge in config.json', async () => {
+    assert.deepStrictEqual(await request('/accessories', {}), ['Fan', 'Lamp']);
+    await assert.rejects(request('/accessories', { hap: { port: bridge.port, pin: '000-00-000' } }), /Cannot list accessories/);
+  });
+
+  it('adds a learned mapping where the keypad keeps its mappings', async () => {
+    const dim = { buttonNumber: 2, modeColor: 'any', pressType: 'hold', actionType: 'accessory', targetName: 'Lamp', action: 'brightnessUp' };
+    const single = await request('/mappings/add', { config: { buttonMappings: [] }, deviceIndex: null, mapping: dim });
+    assert.deepStrictEqual(single.buttonMappings, [dim]);
+    const multi = await request('/mappings/add', { config: { devices: [{ name: 'Hall' }, { name: 'Den' }] }, deviceIndex: 1, mapping: dim });
+    assert.deepStrictEqual(multi.devices.map(d => d.buttonMappings), [undefined, [dim]]);
+
+    // a hold repeats its action, so anything but a step is refused
+    await assert.rejects(request('/mappings/add', { config: {}, deviceIndex: null, mapping: Object.assign({}, dim, { action: 'toggle' }) }), (err) => {
+      assert.strictEqual(err.error.reason, 'holdAction');
+      return true;
+    });
+  });
+
+  it('needs a fixed HTTP API port for the live view', async () => {
+    await assert.rejects(request('/monitor/start', {}), (err) => {
+      assert.strictEqual(err.error.reason, 'noHttpApi');
+      return true;
+    });
+  });
+
+  it('relays keypad events from the running plugin', async () => {
+    const sim = new IPortSimulator({ led: '255000000' });
+    await sim.listen();
+    const { api, platform } = createPlatform({
+      name: 'Hall Keypad',
+      ip: '127.0.0.1',
+      port: sim.port,
+      reconnectDelay: 50,
+      doublePressWindow: 0,
+      longPressThreshold: 0,
+      httpApi: { port: 0 }
+    });
+    try {
+      const device = platform.devices[0];
+      await waitFor(() => device.connected && platform.httpApi.server.listening);
+      api.emit('didFinishLaunching');
+
+      const statuses = await request('/monitor/start', { httpApi: { port: platform.httpApi.port } });
+      assert.strictEqual(statuses[0].id, 'hall-keypad');
+      assert.strictEqual(statuses[0].connected, true);
+      await sim.press(2);
+      await waitFor(() => pushed.some(p => p.event === 'keypad' && p.data.event === 'press'));
+      const press = pushed.find(p => p.data.event === 'press').data.data;
+      assert.strictEqual(press.button, 2);
+      assert.deepStrictEqual(await request('/monitor/stop'), { stopped: true });
+    } finally {
+      api.emit('shutdown');
+      await platform.httpApi.stop();
+      await sim.close();
+    }
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const IPortSimulator = require('../tools/iport-simulator');
+const { createPlatform, waitFor } = require('./helpers/homebridge');
+
+describe('HTTP API against the simulator', () => {
+  let sim;
+  let api;
+  let platform;
+  let device;
+  let base;
+
+  before(async () => {
+    sim = new IPortSimulator({ led: '255000000' });
+    await sim.listen();
+    ({ api, platform } = createPlatform({
+      name: 'Hall Keypad',
+      ip: '127.0.0.1',
+      port: sim.port,
+      reconnectDelay: 50,
+      doublePressWindow: 0,
+      longPressThreshold: 0,
+      triggerResetDelay: 20,
+      httpApi: { port: 0, token: 'secret' },
+      buttonMappings: [
+        { buttonNumber: 1, modeColor: 'red', actionType: 'accessory', targetName: 'Lamp', action: 'on' },
+        { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Fan', action: 'on' },
+        { buttonNumber: 10, modeColor: 'any', actionType: 'accessory', targetName: 'Hidden', action: 'on' }
+      ]
+    }));
+    device = platform.devices[0];
+    await waitFor(() => device.connected && platform.httpApi.server.listening);
+    api.emit('didFinishLaunching');
+    await waitFor(() => device.getCurrentMode() === 'red');
+    base = `http://127.0.0.1:${platform.httpApi.port}`;
+  });
+
+  after(async () => {
+    api.emit('shutdown');
+    await platform.httpApi.stop();
+    await sim.close();
+  });
+
+  function request(method, path, body, token = 'secret', type = 'application/json') {
+    return new Promise((resolve, reject) => {
+      const headers = token ? { Authorization: `Bearer ${token}` } : {};
+      if (method === 'POST' && type) headers['Content-Type'] = type;
+      const req = http.request(`${base}${path}`, { method, headers }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+      });
+      req.on('error', reject);
+      req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+  }
+
+  it('rejects requests without the token', async () => {
+    assert.strictEqual((await request('GET', '/api/devices', undefined, null)).status, 401);
+  });
+
+  it('answers a request line it cannot parse with 400', async () => {
+    const reply = await new Promise((resolve, reject) => {
+      const socket = net.connect(platform.httpApi.port, '127.0.0.1', () => socket.end('GET http://[ HTTP/1.1\r\nHost: x\r\n\r\n'));
+      let data = '';
+      socket.on('data', (chunk) => { data += chunk; });
+      socket.on('end', () => resolve(data));
+      socket.on('error', reject);
+    });
+    assert.match(reply, /^HTTP\/1\.1 400[^]*invalid URL/);
+    assert.strictEqual((await request('GET', '/api/devices')).status, 200);
+  });
+
+  it('only takes POST bodies sent as JSON', async () => {
+    assert.strictEqual((await request('POST', '/api/devices/hall-keypad/led', { color: 'red' }, 'secret', 'text/plain')).status, 415);
+    assert.strictEqual((await request('POST', '/api/devices/hall-keypad/press', undefined, 'secret', null)).status, 415);
+    assert.strictEqual((await request('POST', '/api/devices/hall-keypad/led', { color: 'red' }, 'secret', 'application/json; charset=utf-8')).status, 200);
+  });
+
+  it('reports device status', async () => {
+    const list = await request('GET', '/api/devices');
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.body[0].id, 'hall-keypad');
+    const status = await request('GET', '/api/devices/hall-keypad');
+    assert.strictEqual(status.body.connected, true);
+    assert.strictEqual(status.body.mode, 'red');
+    assert.deepStrictEqual(status.body.led, { r: 255, g: 0, b: 0 });
+    assert.strictEqual(status.body.buttons.length, 10);
+    assert.strictEqual((await request('GET', '/api/devices/nope')).status, 404);
+  });
+
+  it('lists recent raw frames', async () => {
+    const frames = await request('GET', '/api/devices/hall-keypad/frames');
+    assert.ok(frames.body.some(entry => /led=255000000/.test(entry.frame)));
+  });
+
+  it('resolves the mapping table for the current mode', async () => {
+    const { body } = await request('GET', '/api/devices/hall-keypad/mappings');
+    assert.deepStrictEqual(body.map(m => m.activeNow), [true, false, false]);
+    assert.strictEqual(body[2].shadowedByModeButton, true);
+    // the mode button's single press never reaches its mapping, so it gets no switch
+    assert.ok(body.slice(0, 2).every(m => m.hasSwitch));
+    assert.strictEqual(body[2].hasSwitch, false);
+    assert.match(body[2].problems[0], /is the mode button/);
+  });
+
+  it('simulates a press and streams it as a server-sent event', async () => {
+    const events = [];
+    const stream = await new Promise((resolve) => {
+      http.get(`${base}/api/events?token=secret&device=hall-keypad`, (res) => {
+        res.setEncoding('utf8');
+        res.on('data', chunk => events.push(chunk));
+        resolve(res);
+      });
+    });
+    const res = await request('POST', '/api/devices/hall-keypad/press', { button: 2 });
+    assert.strictEqual(res.status, 202);
+    await waitFor(() => events.join('').includes('event: press'));
+    const data = JSON.parse(/event: press\ndata: (.*)\n/.exec(events.join(''))[1]);
+    assert.deepStrictEqual(data, { device: 'hall-keypad', button: 2, pressType: 'single', mode: 'red' });
+    stream.destroy();
+
+    assert.strictEqual((await request('POST', '/api/devices/hall-keypad/press', { button: 11 })).status, 400);
+    assert.strictEqual((await request('POST', '/api/devices/hall-keypad/press', { button: 1, pressType: 'triple' })).status, 400);
+  });
+
+  it('records presses with their mapping and outcome, and exports them', async () => {
+    await request('POST', '/api/devices/hall-keypad/press', { button: 1 });
+    await waitFor(() => device.history.getEntries().some(entry => entry.button === 1));
+
+    const { body } = await request('GET', '/api/devices/hall-keypad/history?limit=2');
+    assert.deepStrictEqual(body.map(entry => [entry.button, entry.mode, entry.outcome]), [[2, 'red', 'unmapped'], [1, 'red', 'ok']]);
+    assert.deepStrictEqual(body[1].mapping, { number: 1, key: 'btn1-red-on-Lamp', trigger: 'B1', actionType: 'accessory', action: 'on', targetName: 'Lamp' });
+    assert.deepStrictEqual((await request('GET', `/api/history?since=${encodeURIComponent(body[1].time)}`)).body.map(e => e.button), [1]);
+    assert.strictEqual((await request('GET', '/api/history?since=yesterday')).status, 400);
+
+    const stats = (await request('GET', '/api/devices/hall-keypad/stats')).body;
+    assert.strictEqual(stats.buttons['2'].single, 1);
+    assert.strictEqual(stats.mappings['btn1-red-on-Lamp'].ok, 1);
+
+    const csv = await new Promise((resolve, reject) => {
+      http.get(`${base}/api/devices/hall-keypad/history?format=csv&token=secret`, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ type: res.headers['content-type'], lines: data.split('\r\n') }));
+      }).on('error', reject);
+    });
+    assert.strictEqual(csv.type, 'text/csv; charset=utf-8');
+    assert.match(csv.lines[csv.lines.length - 2], /,hall-keypad,1,single,red,1,B1,accessory,on,Lamp,ok$/);
+  });
+
+  it('sets the LED', async () => {
+    const res = await request('POST', '/api/devices/hall-keypad/led', { color: 'blue' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.mode, 'blue');
+    await waitFor(() => sim.led === '000000255');
+    assert.strictEqual((await request('POST', '/api/devices/hall-keypad/led', { color: 'mauve' })).status, 400);
+    assert.strictEqual((await request('POST', '/api/devices/hall-keypad/led', { r: 0, g: 255, b: 0 })).status, 200);
+  });
+});
@@ -0,0 +1,1037 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const IPortSimulator = require('../tools/iport-simulator');
+const { createApi, createPlatform, waitFor, delay, PlatformAccessory } = require('./helpers/homebridge');
+const { startHapBridge } = require('./helpers/hap-bridge');
+
+let ctx;
+
+async function start(config = {}, simOptions = {}, { launch = true, cachedAccessories, api: sharedApi } = {}) {
+  const sim = new IPortSimulator(simOptions);
+  await sim.listen();
+  const { platform, api, log } = createPlatform(Object.assign({
+    name: 'Test Keypad',
+    ip: '127.0.0.1',
+    port: sim.port,
+    reconnectDelay: 50,
+    doublePressWindow: 0,
+    longPressThreshold: 0,
+    triggerResetDelay: 20,
+    buttonMappings: []
+  }, config), { cachedAccessories, api: sharedApi });
+  const device = platform.devices[0];
+  ctx = { sim, platform, api, log, device };
+  await waitFor(() => device.connected);
+  if (launch) api.emit('didFinishLaunching');
+  return ctx;
+}
+
+// record every value a characteristic takes
+function record(service, characteristic) {
+  const values = [];
+  service.getCharacteristic(characteristic).on('change', value => values.push(value));
+  return values;
+}
+
+afterEach(async () => {
+  if (!ctx) return;
+  ctx.api.emit('shutdown');
+  await ctx.sim.close();
+  ctx = null;
+});
+
+describe('IPortSMButtonsPlatform against the simulator', () => {
+  it('connects, queries the LED and syncs it to HomeKit', async () => {
+    const { sim, device, api } = await start({}, { led: '000000255' });
+    await waitFor(() => device.ledColor.b === 255 && device.ledColor.r === 0);
+    assert.ok(sim.commands.includes('led=?'));
+    assert.strictEqual(device.lightService.getCharacteristic(api.hap.Characteristic.Hue).value, 240);
+  });
+
+  it('understands LED replies sent as JSON', async () => {
+    const { device } = await start({}, { led: '255000000', ledReplyFormat: 'json' });
+    await waitFor(() => device.getCurrentMode() === 'red');
+  });
+
+  it('registers one accessory with ten buttons, the LED and the mapping switches', async () => {
+    const { api, device } = await start({
+      buttonMappings: [{ buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle' }]
+    });
+    assert.strictEqual(api.registered.length, 1);
+    assert.strictEqual(device.buttonServices.length, 10);
+    assert.ok(device.lightService);
+    assert.deepStrictEqual(Object.keys(device.mappingSwitches), ['btn1-any-toggle-Lamp']);
+  });
+
+  it('reports a single press to HomeKit and pulses the mapping switch', async () => {
+    const { sim, device, api } = await start({
+      buttonMappings: [{ buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle' }]
+    });
+    const events = record(device.buttonServices[0], api.hap.Characteristic.ProgrammableSwitchEvent);
+    const switchValues = record(device.mappingSwitches['btn1-any-toggle-Lamp'], api.hap.Characteristic.On);
+
+    await sim.press(1);
+    await waitFor(() => switchValues.length >= 2);
+    assert.deepStrictEqual(events, [0]);
+    assert.deepStrictEqual(switchValues, [true, false]);
+  });
+
+  it('detects double and long presses', async () => {
+    const { sim, device, api } = await start({ doublePressWindow: 150, longPressThreshold: 200 });
+    const events = record(device.buttonServices[1], api.hap.Characteristic.ProgrammableSwitchEvent);
+
+    await sim.doublePress(2);
+    await waitFor(() => events.length === 1);
+    await sim.press(2, 300);
+    await waitFor(() => events.length === 2);
+    await delay(200);
+    assert.deepStrictEqual(events, [1, 2]);
+  });
+
+  it('queues presses that arrive before accessories are set up', async () => {
+    const { sim, device, api } = await start({}, {}, { launch: false });
+    await sim.press(3);
+    await waitFor(() => device.eventQueue.length === 2);
+
+    api.emit('didFinishLaunching');
+    assert.strictEqual(device.eventQueue.length, 0);
+    assert.strictEqual(device.buttonServices[2].getCharacteristic(api.hap.Characteristic.ProgrammableSwitchEvent).value, 0);
+  });
+
+  it('selects the mapping for the current LED mode', async () => {
+    const { sim, device, api } = await start({
+      buttonMappings: [
+        { buttonNumber: 1, modeColor: 'red', actionType: 'accessory', targetName: 'Red Lamp', action: 'on' },
+        { buttonNumber: 1, modeColor: 'blue', actionType: 'accessory', targetName: 'Blue Lamp', action: 'on' }
+      ]
+    }, { led: '255000000' });
+    await waitFor(() => device.getCurrentMode() === 'red');
+    const red = record(device.mappingSwitches['btn1-red-on-Red_Lamp'], api.hap.Characteristic.On);
+    const blue = record(device.mappingSwitches['btn1-blue-on-Blue_Lamp'], api.hap.Characteristic.On);
+
+    await sim.press(1);
+    await waitFor(() => red.length >= 2);
+    assert.deepStrictEqual(blue, []);
+  });
+
+  it('cycles the LED mode with button 10 and writes it to the device', async () => {
+    const { sim, device } = await start({}, { led: '255000000' });
+    await waitFor(() => device.getCurrentMode() === 'red');
+    await sim.press(10);
+    await waitFor(() => sim.led === '000255000');
+    assert.strictEqual(device.getCurrentMode(), 'green');
+  });
+
+  it('writes HomeKit LED changes to the device', async () => {
+    const { sim, device, api } = await start({}, { led: '255255255' });
+    await waitFor(() => device.lightService.getCharacteristic(api.hap.Characteristic.Brightness).value === 100);
+
+    await device.lightService.getCharacteristic(api.hap.Characteristic.Brightness).setValue(50);
+    await waitFor(() => sim.led === '128128128');
+  });
+
+  it('applies Hue and Saturation written together as one color', async () => {
+    const { sim, device, api } = await start({}, { led: '255255255' });
+    const { Hue, Saturation } = api.hap.Characteristic;
+    await waitFor(() => device.lightService.getCharacteristic(Saturation).value === 0);
+    const writes = [];
+    sim.on('led', led => writes.push(led));
+
+    await Promise.all([
+      device.lightService.getCharacteristic(Hue).setValue(240),
+      device.lightService.getCharacteristic(Saturation).setValue(100)
+    ]);
+    await waitFor(() => writes.length === 1);
+    await delay(100);
+    assert.deepStrictEqual(writes, ['000000255']);
+  });
+
+  it('coalesces rapid slider changes into the latest value', async () => {
+    const { sim, device, api } = await start({ commandInterval: 100 }, { led: '255255255' });
+    const brightness = device.lightService.getCharacteristic(api.hap.Characteristic.Brightness);
+    await waitFor(() => brightness.value === 100);
+    const writes = [];
+    sim.on('led', led => writes.push(led));
+
+    for (let value = 90; value >= 10; value -= 10) {
+      await brightness.setValue(value);
+      await delay(25);
+    }
+    await waitFor(() => sim.led === '026026026');
+    await delay(150);
+    assert.ok(writes.length < 9, `${writes.length} writes`);
+    assert.strictEqual(writes[writes.length - 1], '026026026');
+  });
+
+  it('holds LED changes made while disconnected until the keypad is back', async () => {
+    const { sim, device } = await start({}, { led: '255000000' });
+    await waitFor(() => device.getCurrentMode() === 'red');
+    sim.dropClients();
+    await waitFor(() => !device.connected);
+    assert.strictEqual(device.setMode('green'), true);
+    assert.ok(device.log.lines.some(line => /offline, the LED change will be sent/.test(line)));
+    await waitFor(() => sim.led === '000255000');
+    assert.strictEqual(device.getCurrentMode(), 'green');
+  });
+
+  it('picks up LED changes made on the device', async () => {
+    const { sim, device } = await start({}, { led: '255255255' });
+    sim.setLed(0, 0, 255);
+    device.queryLED();
+    await waitFor(() => device.getCurrentMode() === 'blue');
+  });
+
+  it('reconnects after the device drops the connection', async () => {
+    const { sim, device } = await start({}, { led: '255000000' });
+    await waitFor(() => device.getCurrentMode() === 'red');
+    let connections = 1;
+    sim.on('connection', () => connections++);
+
+    sim.dropClients();
+    await waitFor(() => !device.connected);
+    await waitFor(() => device.connected);
+    assert.ok(connections >= 2);
+
+    // still fully functional after the reconnect
+    await sim.press(10);
+    await waitFor(() => sim.led === '000255000');
+  });
+
+  it('reconnects once per drop even though error and close both fire', async () => {
+    const { sim, device } = await start();
+    let connections = 0;
+    sim.on('connection', () => connections++);
+    device.socket.destroy(new Error('boom'));
+    await waitFor(() => device.connected);
+    await delay(200);
+    assert.strictEqual(connections, 1);
+  });
+
+  it('backs off between failed reconnect attempts', async () => {
+    const { sim, device } = await start({ reconnectDelay: 20, maxReconnectDelay: 80 });
+    const attempts = [];
+    const connect = device.connect.bind(device);
+    device.connect = () => {
+      attempts.push(Date.now());
+      connect();
+    };
+    await sim.close();
+    await waitFor(() => attempts.length >= 5, 3000);
+    const gaps = attempts.slice(1).map((time, i) => time - attempts[i]);
+    // 20ms before the first attempt, then 40ms, then capped at 80ms (each +/-20%)
+    assert.ok(gaps[0] < 60, `first gap ${gaps[0]}`);
+    assert.ok(gaps[2] >= 60 && gaps[3] >= 60, `later gaps ${gaps}`);
+    assert.ok(gaps[3] < 200, `capped gap ${gaps[3]}`);
+  });
+
+  it('keeps backing off while connections drop before they prove healthy', async () => {
+    const { sim, device } = await start({ reconnectDelay: 20, maxReconnectDelay: 2000, pollInterval: 30, maxMissedPolls: 1 });
+    sim.silent = true; // accepts connections, never answers
+    await waitFor(() => device.reconnectAttempts >= 3, 3000);
+
+    sim.silent = false;
+    await waitFor(() => device.connected && device.reconnectAttempts === 0, 3000);
+  });
+
+  it('keeps an idle connection up when the poll interval exceeds the timeout', async () => {
+    const { device, log } = await start({ timeout: 30, pollInterval: 200 });
+    await delay(150); // no data between polls for longer than the timeout
+    assert.ok(device.connected);
+    assert.ok(!log.lines.some(line => /Connection closed/.test(line)));
+  });
+
+  it('drops a silent connection and reports it on the connection sensor', async () => {
+    const { sim, device, api } = await start({ pollInterval: 40, maxMissedPolls: 2 });
+    const { ContactSensorState, StatusFault } = api.hap.Characteristic;
+    const sensor = device.connectionService;
+    assert.strictEqual(sensor.getCharacteristic(ContactSensorState).value, 0);
+    assert.strictEqual(sensor.getCharacteristic(StatusFault).value, 0);
+
+    sim.silent = true;
+    await waitFor(() => !device.connected, 2000);
+    assert.strictEqual(sensor.getCharacteristic(ContactSensorState).value, 1);
+    assert.strictEqual(sensor.getCharacteristic(StatusFault).value, 1);
+    assert.ok(device.log.lines.some(line => /No reply from the device/.test(line)));
+
+    sim.silent = false;
+    await waitFor(() => device.connected, 2000);
+    assert.strictEqual(sensor.getCharacteristic(ContactSensorState).value, 0);
+  });
+
+  it('reuses the cached accessory and reconciles mapping switches on restart', async () => {
+    const lamp = { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle' };
+    const fan = { buttonNumber: 2, modeColor: 'red', actionType: 'accessory', targetName: 'Fan', action: 'on' };
+    const first = await start({ buttonMappings: [lamp, fan] });
+    const cached = first.api.registered[0];
+    const button1 = first.device.buttonServices[0];
+    const lampSwitch = first.device.mappingSwitches['btn1-any-toggle-Lamp'];
+    first.api.emit('shutdown');
+    await first.sim.close();
+
+    const tv = { buttonNumber: 3, modeColor: 'any', actionType: 'accessory', targetName: 'TV', action: 'off' };
+    const { api, device } = await start({ buttonMappings: [lamp, tv] }, {}, { cachedAccessories: [cached] });
+
+    assert.strictEqual(api.registered.length, 0);
+    assert.strictEqual(device.accessory, cached);
+    assert.strictEqual(device.buttonServices[0], button1);
+    assert.strictEqual(device.mappingSwitches['btn1-any-toggle-Lamp'], lampSwitch);
+    const switches = cached.services.filter(s => s.UUID === api.hap.Service.Switch.UUID).map(s => s.subtype);
+    assert.deepStrictEqual(switches.sort(), ['btn1-any-toggle-Lamp', 'btn3-any-off-TV']);
+    assert.strictEqual(cached.services.filter(s => s.UUID === api.hap.Service.Lightbulb.UUID).length, 1);
+  });
+
+  it('steps through modes from the color the LED actually shows', async () => {
+    const { sim, device } = await start({}, { led: '000000255' });
+    await waitFor(() => device.getCurrentMode() === 'blue');
+    await sim.press(10);
+    await waitFor(() => sim.led === '255255000');
+  });
+
+  it('restores the last mode after a restart and pushes it to the keypad', async () => {
+    const first = await start({}, { led: '255000000' });
+    await waitFor(() => first.device.getCurrentMode() === 'red');
+    first.device.setMode('blue');
+    first.api.emit('shutdown');
+    await first.sim.close();
+
+    const { sim, device } = await start({}, { led: '255255255' }, { api: first.api });
+    assert.strictEqual(device.getCurrentMode(), 'blue');
+    await waitFor(() => sim.led === '000000255');
+    await waitFor(() => sim.commands.includes('led=?'));
+    assert.strictEqual(device.getCurrentMode(), 'blue');
+  });
+
+  it('gives a power-cycled keypad its mode back on reconnect', async () => {
+    const { sim, device } = await start({}, { led: '255000000' });
+    await waitFor(() => device.getCurrentMode() === 'red');
+    await sim.press(10);
+    await waitFor(() => sim.led === '000255000');
+
+    sim.setLed(255, 255, 255); // reboot: back to factory white
+    sim.dropClients();
+    await waitFor(() => !device.connected);
+    await waitFor(() => sim.led === '000255000');
+    assert.strictEqual(device.getCurrentMode(), 'green');
+  });
+
+  it('trusts the keypad or starts in the default mode when configured to', async () => {
+    const first = await start({ startupMode: 'device' }, { led: '255000000' });
+    await waitFor(() => first.device.getCurrentMode() === 'red');
+    first.device.setMode('blue');
+    first.api.emit('shutdown');
+    await first.sim.close();
+
+    const second = await start({ startupMode: 'device' }, { led: '000255000' }, { api: first.api });
+    await waitFor(() => second.device.getCurrentMode() === 'green');
+    assert.ok(!second.sim.commands.some(cmd => /^led=\d{9}$/.test(cmd)));
+    second.api.emit('shutdown');
+    await second.sim.close();
+
+    const { sim, device } = await start({ startupMode: 'default', defaultMode: 'purple' }, { led: '000255000' }, { api: first.api });
+    assert.strictEqual(device.getCurrentMode(), 'purple');
+    await waitFor(() => sim.led === '128000128');
+  });
+
+  it('sizes the accessory and mode button to the keypad model', async () => {
+    const { sim, device, log } = await start({ model: '6-key' }, { led: '255000000' });
+    await waitFor(() => device.getCurrentMode() === 'red');
+    assert.strictEqual(device.buttonServices.length, 6);
+    assert.strictEqual(device.getStatus().model, '6-key');
+
+    await sim.press(6);
+    await waitFor(() => device.getCurrentMode() === 'green');
+    sim.keyDown(7);
+    await waitFor(() => log.lines.some(line => /Ignoring unrecognized event: .*Key 7/.test(line)));
+  });
+
+  it('skips malformed events and keeps the connection up', async () => {
+    const { sim, device, api, log } = await start();
+    const events = record(device.buttonServices[1], api.hap.Characteristic.ProgrammableSwitchEvent);
+
+    sim.send('{"events":[null,42,{"state":"1"},{"label":7,"state":"1"}]}\r\n');
+    await waitFor(() => log.lines.filter(line => /Ignoring malformed event/.test(line)).length === 4);
+    await sim.press(2);
+    await waitFor(() => events.length === 1);
+    assert.ok(device.connected);
+    assert.ok(!log.lines.some(line => /Connection closed/.test(line)));
+  });
+
+  it('speaks a custom label format and LED command syntax', async () => {
+    const { sim, device, api } = await start({
+      model: 'custom',
+      customModel: { buttons: 4, labelPattern: '^btn_(\\d+)$', firstKey: 0, modeButton: 0, ledSet: 'color {r},{g},{b}' },
+      buttonMappings: [{ buttonNumber: 4, modeColor: 'any', actionType: 'mode', action: 'set', targetMode: 'green' }]
+    }, { keyLabel: button => `btn_${button - 1}` });
+    const events = record(device.buttonServices[3], api.hap.Characteristic.ProgrammableSwitchEvent);
+
+    await sim.press(4);
+    await waitFor(() => sim.commands.includes('color 0,255,0'));
+    assert.deepStrictEqual(events, [0]);
+    assert.ok(!sim.commands.some(cmd => cmd.startsWith('led=0')));
+  });
+
+  it('reads the LED back in the form the model speaks and ignores replies it cannot read', async () => {
+    const { sim, device, log } = await start({
+      model: 'custom',
+      customModel: { ledSet: 'led={hex}' }
+    }, { led: '255136000', ledReplyFormat: 'hex' });
+    await waitFor(() => device.ledColor.r === 255 && device.ledColor.g === 136 && device.ledColor.b === 0);
+    device.setLED(0, 0, 255);
+    await waitFor(() => sim.commands.includes('led=0000FF'));
+
+    // a 9-digit reply isn't hex: ignored, the last good color stays
+    sim.ledReplyFormat = 'text';
+    sim.setLed(255, 0, 0);
+    device.queryLED();
+    await waitFor(() => log.lines.includes('Ignoring LED reply "255000000": not a hex color with values from 0 to 255'));
+    assert.deepStrictEqual(device.ledColor, { r: 0, g: 0, b: 255 });
+  });
+
+  it('unregisters cached accessories that no configured device claims', async () => {
+    const stale = new PlatformAccessory('Removed Keypad', 'stale-uuid');
+    const { api } = await start({}, {}, { cachedAccessories: [stale] });
+    assert.deepStrictEqual(api.unregistered, [stale]);
+  });
+
+  it('frees button 10 for mappings when the mode button is disabled', async () => {
+    const { sim, device, api } = await start({
+      modeButton: 0,
+      buttonMappings: [{ buttonNumber: 10, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'on' }]
+    });
+    const values = record(device.mappingSwitches['btn10-any-on-Lamp'], api.hap.Characteristic.On);
+    await sim.press(10);
+    await waitFor(() => values.length >= 2);
+    assert.ok(!sim.commands.some(cmd => /^led=\d{9}$/.test(cmd)));
+  });
+
+  it('runs mode navigation actions without creating switches for them', async () => {
+    const { sim, device } = await start({
+      modeButton: 5,
+      defaultMode: 'blue',
+      buttonMappings: [
+        { buttonNumber: 1, modeColor: 'any', actionType: 'mode', action: 'next' },
+        { buttonNumber: 2, modeColor: 'any', actionType: 'mode', action: 'previous' },
+        { buttonNumber: 3, modeColor: 'any', actionType: 'mode', action: 'set', targetMode: 'purple' },
+        { buttonNumber: 4, modeColor: 'any', actionType: 'mode', action: 'default' }
+      ]
+    }, { led: '255000000' });
+    assert.deepStrictEqual(Object.keys(device.mappingSwitches), []);
+    await waitFor(() => device.getCurrentMode() === 'red');
+
+    await sim.press(1);
+    await waitFor(() => sim.led === '000255000');
+    await sim.press(2);
+    await waitFor(() => sim.led === '255000000');
+    await sim.press(3);
+    await waitFor(() => sim.led === '128000128');
+    await sim.press(4);
+    await waitFor(() => sim.led === '000000255');
+    await sim.press(5);
+    await waitFor(() => sim.led === '255255000');
+  });
+
+  it('returns to the default mode after the inactivity timeout', async () => {
+    const { sim, device } = await start({ defaultMode: 'white', modeTimeout: 0.15 }, { led: '255255255' });
+    await waitFor(() => device.ledKnown);
+    await sim.press(10);
+    await waitFor(() => device.getCurrentMode() === 'red');
+    await waitFor(() => sim.led === '255255255', 1000);
+  });
+
+  it('exposes the active mode as exclusive HomeKit switches', async () => {
+    const { sim, device, api } = await start({ modeSwitches: true, defaultMode: 'white' }, { led: '255000000' });
+    const On = api.hap.Characteristic.On;
+    const state = () => Object.keys(device.modeSwitches).filter(name => device.modeSwitches[name].getCharacteristic(On).value);
+    await waitFor(() => state().join() === 'red');
+    assert.deepStrictEqual(Object.keys(device.mappingSwitches), []);
+
+    // HomeKit selects a mode
+    await device.modeSwitches.blue.getCharacteristic(On).setValue(true);
+    await waitFor(() => sim.led === '000000255');
+    await waitFor(() => state().join() === 'blue');
+
+    // turning the active mode off falls back to the default mode
+    await device.modeSwitches.blue.getCharacteristic(On).setValue(false);
+    await waitFor(() => sim.led === '255255255');
+    await waitFor(() => state().join() === 'white');
+
+    // the device changes mode on its own and polling picks it up
+    sim.setLed(0, 255, 0);
+    device.queryLED();
+    await waitFor(() => state().join() === 'green');
+  });
+
+  it('flashes feedback without changing the mode', async () => {
+    const { sim, device } = await start({
+      feedbackPattern: 'flash',
+      buttonMappings: [
+        { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'on' },
+        { buttonNumber: 2, modeColor: 'any', actionType: 'macro', steps: [{ type: 'mode', action: 'set', targetMode: 'nope' }], feedbackFailureColor: 'purple' }
+      ]
+    }, { led: '000000255' });
+    await waitFor(() => device.getCurrentMode() === 'blue');
+    const writes = [];
+    sim.on('led', led => writes.push(led));
+
+    await sim.press(1);
+    await waitFor(() => writes.length === 2);
+    assert.deepStrictEqual(writes, ['000255000', '000000255']);
+
+    // polling during an animation must not pick up the animation color
+    await sim.press(2);
+    await waitFor(() => writes.length === 3);
+    assert.strictEqual(writes[2], '128000128');
+    device.queryLED();
+    sim.send('led=128000128\r\n');
+    await delay(50);
+    assert.strictEqual(device.getCurrentMode(), 'blue');
+    await waitFor(() => writes.length === 4);
+    assert.strictEqual(writes[3], '000000255');
+    assert.strictEqual(device.getCurrentMode(), 'blue');
+  });
+
+  it('flashes failure when a switch mapping\'s target is not on the bridge', async () => {
+    const bridge = await startHapBridge([
+      { name: 'Lamp', services: [{ type: 'Lightbulb', characteristics: { On: { value: false, format: 'bool' } } }] }
+    ]);
+    try {
+      const { sim, device, api, log } = await start({
+        feedbackPattern: 'flash',
+        hap: { port: bridge.port, pin: bridge.pin },
+        buttonMappings: [
+          { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle' },
+          { buttonNumber: 2, modeColor: 'any', actionType: 'accessory', targetName: 'Ghost', action: 'toggle' }
+        ]
+      }, { led: '000000255' });
+      await waitFor(() => device.getCurrentMode() === 'blue');
+      const switchValues = record(device.mappingSwitches['btn2-any-toggle-Ghost'], api.hap.Characteristic.On);
+      const writes = [];
+      sim.on('led', led => writes.push(led));
+
+      await sim.press(1);
+      await waitFor(() => writes.length === 2);
+      assert.strictEqual(writes[0], '000255000');
+
+      // the switch still pulses for automations, the keypad shows the target is missing
+      await sim.press(2);
+      await waitFor(() => writes.length === 4);
+      assert.strictEqual(writes[2], '255000000');
+      assert.deepStrictEqual(switchValues, [true, false]);
+      assert.ok(log.lines.some(line => /Cannot find "Ghost"/.test(line)));
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  it('runs a macro step by step and pulses its virtual switch', async () => {
+    const { sim, device, api } = await start({
+      buttonMappings: [{
+        buttonNumber: 1,
+        modeColor: 'any',
+        actionType: 'macro',
+        steps: [
+          { type: 'led', ledColor: 'red' },
+          { type: 'wait', delay: 50 },
+          { type: 'switch', targetName: 'Bedtime' },
+          { type: 'mode', action: 'set', targetMode: 'blue' }
+        ]
+      }]
+    });
+    assert.deepStrictEqual(Object.keys(device.mappingSwitches), []);
+    const pulses = record(device.pulseSwitches.Bedtime, api.hap.Characteristic.On);
+    const writes = [];
+    sim.on('led', led => writes.push(led));
+
+    await sim.press(1);
+    await waitFor(() => writes.length === 2);
+    assert.deepStrictEqual(writes, ['255000000', '000000255']);
+    await waitFor(() => pulses.length >= 2);
+    assert.deepStrictEqual(pulses, [true, false]);
+  });
+
+  it('cancels a running macro when its button is pressed again', async () => {
+    const { sim, device } = await start({
+      buttonMappings: [{
+        buttonNumber: 1,
+        modeColor: 'any',
+        actionType: 'macro',
+        steps: [{ type: 'led', ledColor: 'red' }, { type: 'wait', delay: 300 }, { type: 'led', ledColor: 'green' }]
+      }]
+    });
+    const writes = [];
+    sim.on('led', led => writes.push(led));
+
+    await sim.press(1);
+    await waitFor(() => writes.length === 1);
+    assert.ok(device.macroRunner.isRunning(1));
+    await sim.press(1);
+    await waitFor(() => !device.macroRunner.isRunning(1));
+    await delay(400);
+    assert.deepStrictEqual(writes, ['255000000']);
+  });
+  it('repeats a hold mapping while the button is down', async () => {
+    const bridge = await startHapBridge([
+      { name: 'Lamp', services: [{ type: 'Lightbulb', characteristics: { On: { value: true, format: 'bool' }, Brightness: { value: 100, minValue: 0, maxValue: 100 } } }] }
+    ]);
+    try {
+      const { sim, device } = await start({
+        holdDelay: 30,
+        holdRepeatInterval: 50,
+        hap: { port: bridge.port, pin: bridge.pin },
+        buttonMappings: [
+          { buttonNumber: 1, modeColor: 'any', pressType: 'hold', actionType: 'accessory', targetName: 'Lamp', action: 'brightnessDown', step: 20 },
+          { buttonNumber: 2, modeColor: 'any', pressType: 'hold', actionType: 'accessory', targetName: 'Lamp', action: 'increment', characteristic: 'Brightness', step: 5 },
+          { buttonNumber: 2, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle' }
+        ]
+      });
+      const brightness = () => bridge.value('Lamp', 'Brightness');
+      assert.deepStrictEqual(Object.keys(device.mappingSwitches), ['btn2-any-toggle-Lamp']);
+      const presses = [];
+      device.on('press', event => presses.push(event.pressType));
+
+      sim.keyDown(1);
+      await waitFor(() => brightness() <= 40);
+      sim.keyUp(1);
+      await delay(60);
+      const released = brightness();
+      await delay(150);
+      assert.strictEqual(brightness(), released);
+      assert.deepStrictEqual(presses, ['hold']);
+
+      // stops at the limit
+      sim.keyDown(1);
+      await waitFor(() => brightness() === 0);
+      await delay(120);
+      sim.keyUp(1);
+      assert.strictEqual(brightness(), 0);
+
+      // a quick tap on a button with a hold mapping is still a normal press
+      await sim.press(2);
+      await waitFor(() => presses.includes('single'));
+      sim.keyDown(2);
+      await waitFor(() => brightness() >= 10);
+      sim.keyUp(2);
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  it('does not lose hold steps on a slow bridge', async () => {
+    const bridge = await startHapBridge([
+      { name: 'Lamp', services: [{ type: 'Lightbulb', characteristics: { On: { value: true, format: 'bool' }, Brightness: { value: 100, minValue: 0, maxValue: 100 } } }] }
+    ]);
+    bridge.latency = 40; // a read and a write take longer than the repeat interval
+    try {
+      const { sim } = await start({
+        holdDelay: 30,
+        holdRepeatInterval: 50,
+        hap: { port: bridge.port, pin: bridge.pin },
+        buttonMappings: [{ buttonNumber: 1, modeColor: 'any', pressType: 'hold', actionType: 'accessory', targetName: 'Lamp', action: 'brightnessDown', step: 10 }]
+      });
+      sim.keyDown(1);
+      await waitFor(() => bridge.writes.length >= 3, 3000);
+      sim.keyUp(1);
+      await delay(200);
+      // every step starts from the value the one before wrote
+      const values = bridge.writes.map(write => write.value);
+      assert.deepStrictEqual(values, values.map((value, index) => 90 - index * 10));
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  it('sets, steps and cycles characteristics on other accessories', async () => {
+    const bridge = await startHapBridge([
+      { name: 'Ceiling Fan', services: [{ type: 'Fanv2', characteristics: { Active: { value: 0, format: 'uint8' }, RotationSpeed: { value: 0, format: 'float', minValue: 0, maxValue: 100, minStep: 25 } } }] },
+      { name: 'Front Door', services: [{ type: 'LockMechanism', characteristics: { LockTargetState: { value: 0, format: 'uint8', 'valid-values': [0, 1] } } }] }
+    ]);
+    try {
+      const { sim, device, log } = await start({
+        hap: { port: bridge.port, pin: bridge.pin },
+        buttonMappings: [
+          { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Ceiling Fan', action: 'on', characteristic: 'Active' },
+          { buttonNumber: 2, modeColor: 'any', actionType: 'accessory', targetName: 'Ceiling Fan', action: 'increment', characteristic: 'RotationSpeed' },
+          { buttonNumber: 3, modeColor: 'any', actionType: 'accessory', targetName: 'Front Door', action: 'cycle', serviceType: 'LockMechanism', characteristic: 'LockTargetState' },
+          { buttonNumber: 4, modeColor: 'any', actionType: 'accessory', targetName: 'Front Door', action: 'set', characteristic: 'Brightness', value: 50 },
+          { buttonNumber: 5, modeColor: 'any', actionType: 'accessory', targetName: 'Ceiling Fan', action: 'set', characteristic: 'RotationSpeed', value: '75' }
+        ]
+      });
+      assert.deepStrictEqual(Object.keys(device.mappingSwitches), []);
+
+      await sim.press(1);
+      await waitFor(() => bridge.value('Ceiling Fan', 'Active') === 1);
+      await sim.press(2);
+      await waitFor(() => bridge.value('Ceiling Fan', 'RotationSpeed') === 25);
+      await sim.press(5);
+      await waitFor(() => bridge.value('Ceiling Fan', 'RotationSpeed') === 75);
+      await sim.press(3);
+      await waitFor(() => bridge.value('Front Door', 'LockTargetState') === 1);
+      await sim.press(3);
+      await waitFor(() => bridge.value('Front Door', 'LockTargetState') === 0);
+
+      await sim.press(4);
+      await waitFor(() => log.lines.some(line => /"Front Door" has no Brightness characteristic/.test(line)));
+      assert.ok(log.lines.some(line => /it exposes LockMechanism \(LockTargetState\)/.test(line)));
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  it('finds the bridge in config.json and explains when insecure mode is off', async () => {
+    const bridge = await startHapBridge([
+      { name: 'Lamp', services: [{ type: 'Lightbulb', characteristics: { On: { value: false, format: 'bool' } } }] }
+    ], '111-22-333');
+    try {
+      const api = createApi();
+      fs.writeFileSync(api.user.configPath(), JSON.stringify({ bridge: { name: 'Homebridge', port: bridge.port, pin: '999-99-999' } }));
+      const { sim, log } = await start({
+        buttonMappings: [{ buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'set', value: true }]
+      }, {}, { api });
+      await sim.press(1);
+      await waitFor(() => log.lines.some(line => /insecure mode/.test(line)));
+
+      // right PIN: works
+      ctx.platform.hapClient.bridges[0].pin = '111-22-333';
+      await sim.press(1);
+      await waitFor(() => bridge.value('Lamp', 'On') === true);
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  it('runs the first mapping whose time and target conditions pass', async () => {
+    const bridge = await startHapBridge([
+      { name: 'Lamp', services: [{ type: 'Lightbulb', characteristics: { On: { value: false, format: 'bool' } } }] }
+    ]);
+    const hour = new Date().getHours();
+    const later = { after: `${(hour + 2) % 24}:00`, before: `${(hour + 3) % 24}:00` };
+    try {
+      const { sim, device } = await start({
+        hap: { port: bridge.port, pin: bridge.pin },
+        buttonMappings: [
+          { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', characteristic: 'On', action: 'off', conditions: { targetState: 'on' } },
+          { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', characteristic: 'On', action: 'toggle', conditions: later },
+          { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', characteristic: 'On', action: 'on' }
+        ]
+      });
+      assert.deepStrictEqual(device.getMappingTable().map(m => m.activeNow), [true, false, false]);
+
+      await sim.press(1);
+      await waitFor(() => bridge.value('Lamp', 'On') === true);
+      await sim.press(1);
+      await waitFor(() => bridge.value('Lamp', 'On') === false);
+      assert.strictEqual(bridge.writes.length, 2);
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  it('calls a webhook mapping and flashes its outcome', async () => {
+    const calls = [];
+    const server = http.createServer((req, res) => {
+      calls.push(req.url);
+      res.statusCode = req.url.startsWith('/ok') ? 200 : 500;
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const { sim, device } = await start({
+        feedbackPattern: 'flash',
+        buttonMappings: [
+          { buttonNumber: 1, modeColor: 'any', actionType: 'webhook', webhook: { url: `${url}/ok/{{button}}/{{mode}}`, method: 'GET' } },
+          { buttonNumber: 2, modeColor: 'any', actionType: 'webhook', webhook: { url: `${url}/fail`, method: 'GET' } }
+        ]
+      }, { led: '000000255' });
+      await waitFor(() => device.getCurrentMode() === 'blue');
+      assert.deepStrictEqual(Object.keys(device.mappingSwitches), []);
+      const writes = [];
+      sim.on('led', led => writes.push(led));
+
+      await sim.press(1);
+      await waitFor(() => writes.length === 2);
+      assert.deepStrictEqual(calls, ['/ok/1/blue']);
+      assert.strictEqual(writes[0], '000255000');
+
+      await sim.press(2);
+      await waitFor(() => writes.length === 4);
+      assert.strictEqual(writes[2], '255000000');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('runs chords instead of the single presses of their buttons', async () => {
+    const { sim, device, api } = await start({
+      chordWindow: 100,
+      buttonMappings: [
+        { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle' },
+        { buttonNumber: 2, modeColor: 'any', actionType: 'accessory', targetName: 'Fan', action: 'toggle' },
+        { pressType: 'chord', buttons: [2, 1], modeColor: 'any', actionType: 'accessory', targetName: 'Hall', action: 'on' }
+      ]
+    });
+    const keys = Object.keys(device.mappingSwitches);
+    assert.deepStrictEqual(keys, ['btn1-any-toggle-Lamp', 'btn2-any-toggle-Fan', 'chord-1.2-any-on-Hall']);
+    const [lamp, fan, hall] = keys.map(key => record(device.mappingSwitches[key], api.hap.Characteristic.On));
+    assert.strictEqual(device.mappingSwitches['chord-1.2-any-on-Hall'].displayName, 'Chord 1+2 [any] → on Hall');
+    const presses = [];
+    device.on('press', event => presses.push(event));
+
+    sim.keyDown(1);
+    await delay(30);
+    sim.keyDown(2);
+    await waitFor(() => hall.length === 2);
+    sim.keyUp(1);
+    sim.keyUp(2);
+    await delay(200);
+    assert.deepStrictEqual(lamp, []);
+    assert.deepStrictEqual(fan, []);
+    assert.deepStrictEqual(presses.map(p => p.pressType), ['chord']);
+    assert.deepStrictEqual(presses[0].buttons, [1, 2]);
+
+    // on its own the button still does its usual thing, just after the chord window
+    await sim.press(1);
+    await waitFor(() => lamp.length === 2);
+    assert.deepStrictEqual(fan, []);
+  });
+
+  it('runs sequences and codes, releasing presses that do not complete one', async () => {
+    const { sim, device, api } = await start({
+      sequenceTimeout: 200,
+      buttonMappings: [
+        { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle' },
+        { pressType: 'sequence', buttons: [1, 3], modeColor: 'any', actionType: 'accessory', targetName: 'Fan', action: 'toggle' },
+        { pressType: 'code', code: '242', modeColor: 'any', actionType: 'accessory', targetName: 'Door', action: 'on' }
+      ]
+    });
+    const keys = Object.keys(device.mappingSwitches);
+    assert.strictEqual(keys.length, 3);
+    assert.ok(keys.every(key => !key.includes('242')));
+    const doorKey = keys.find(key => key.startsWith('code-'));
+    assert.strictEqual(device.mappingSwitches[doorKey].displayName, 'Code [any] → on Door');
+    const [lamp, fan, door] = keys.map(key => record(device.mappingSwitches[key], api.hap.Characteristic.On));
+    const presses = [];
+    device.on('press', event => presses.push(event));
+
+    await sim.press(1);
+    await delay(50);
+    assert.deepStrictEqual(lamp, []);
+    await sim.press(3);
+    await waitFor(() => fan.length === 2);
+    assert.deepStrictEqual(lamp, []);
+
+    // 1 then 2 is no sequence: button 1 runs as soon as that is clear
+    await sim.press(1);
+    await sim.press(2);
+    await waitFor(() => lamp.length === 2);
+
+    // a lone 1 runs once the sequence timeout passes
+    await sim.press(1);
+    await waitFor(() => lamp.length === 4);
+
+    presses.length = 0;
+    const logged = ctx.log.lines.length;
+    await sim.press(2);
+    await sim.press(4);
+    await sim.press(2);
+    await waitFor(() => door.length === 2);
+    // the code's digits are neither emitted nor logged as presses of their own
+    assert.deepStrictEqual(presses.map(p => p.pressType), ['code']);
+    assert.deepStrictEqual(ctx.log.lines.slice(logged).filter(line => /^Button \d+ triggered/.test(line)), []);
+    const code = presses[0];
+    assert.strictEqual(code.button, null);
+    assert.strictEqual(code.buttons, undefined);
+    assert.deepStrictEqual(ctx.log.lines.filter(line => String(line).includes('242')), []);
+    assert.strictEqual(fan.length, 2);
+  });
+
+  it('keeps latching switches on between presses and across restarts', async () => {
+    const lamp = { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle', switchMode: 'latching' };
+    const fan = { buttonNumber: 2, modeColor: 'any', actionType: 'accessory', targetName: 'Fan', action: 'toggle', switchMode: 'Latching' };
+    const first = await start({ buttonMappings: [lamp, fan] });
+    const { On } = first.api.hap.Characteristic;
+    const lampSwitch = first.device.mappingSwitches['btn1-any-toggle-Lamp'];
+    assert.strictEqual(lampSwitch.getCharacteristic(On).value, false);
+
+    await first.sim.press(1);
+    await waitFor(() => lampSwitch.getCharacteristic(On).value === true);
+    await delay(60); // past triggerResetDelay
+    assert.strictEqual(lampSwitch.getCharacteristic(On).value, true);
+    await first.sim.press(1);
+    await waitFor(() => lampSwitch.getCharacteristic(On).value === false);
+
+    // set from the Home app: stays
+    const fanSwitch = first.device.mappingSwitches['btn2-any-toggle-Fan'];
+    await fanSwitch.getCharacteristic(On).setValue(true);
+    await delay(60);
+    assert.strictEqual(fanSwitch.getCharacteristic(On).value, true);
+    const cached = first.api.registered[0];
+    first.api.emit('shutdown');
+    await first.sim.close();
+
+    const { device } = await start({ buttonMappings: [lamp, fan] }, {}, { api: first.api, cachedAccessories: [cached] });
+    assert.strictEqual(device.mappingSwitches['btn1-any-toggle-Lamp'].getCharacteristic(On).value, false);
+    assert.strictEqual(device.mappingSwitches['btn2-any-toggle-Fan'].getCharacteristic(On).value, true);
+    assert.deepStrictEqual(device.getMappingTable().map(m => m.switchMode), ['latching', 'latching']);
+  });
+
+  it('mirrors the target of a mirror switch and controls it from the Home app', async () => {
+    const bridge = await startHapBridge([
+      { name: 'Lamp', services: [{ type: 'Lightbulb', characteristics: { On: { value: false, format: 'bool' } } }] }
+    ]);
+    try {
+      const { sim, device, api, log } = await start({
+        hap: { port: bridge.port, pin: bridge.pin },
+        buttonMappings: [
+          { buttonNumber: 1, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle', switchMode: 'mirror' },
+          { buttonNumber: 2, modeColor: 'any', actionType: 'scene', targetName: 'Night', switchMode: 'mirror' }
+        ]
+      });
+      const { On } = api.hap.Characteristic;
+      const lampSwitch = device.mappingSwitches['btn1-any-toggle-Lamp'];
+      assert.ok(log.lines.includes('Mapping 2 switchMode "mirror" needs an accessory action with a targetName to mirror, its switch stays momentary'));
+
+      // the plugin runs the action itself and the switch follows the lamp
+      await sim.press(1);
+      await waitFor(() => bridge.value('Lamp', 'On') === true);
+      await waitFor(() => lampSwitch.getCharacteristic(On).value === true);
+      await delay(60);
+      assert.strictEqual(lampSwitch.getCharacteristic(On).value, true);
+
+      // changed elsewhere: picked up on the next read
+      bridge.set('Lamp', 'On', false);
+      await device.refreshMirrorSwitches();
+      assert.strictEqual(lampSwitch.getCharacteristic(On).value, false);
+
+      // switched in the Home app: switches the lamp
+      await lampSwitch.getCharacteristic(On).setValue(true);
+      assert.strictEqual(bridge.value('Lamp', 'On'), true);
+      assert.deepStrictEqual(device.getMappingTable().map(m => m.switchMode), ['mirror', 'momentary']);
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  it('keeps held-button sensors active while their button is down', async () => {
+    const { sim, device, api, log } = await start({
+      buttonSensors: [{ buttonNumber: 2 }, { buttonNumber: 3, type: 'contact' }, { buttonNumber: 12 }]
+    });
+    const { OccupancyDetected, ContactSensorState } = api.hap.Characteristic;
+    assert.ok(log.lines.includes('Button sensor 3 uses button 12, but the keypad has buttons 1 to 10'));
+    const occupancy = device.accessory.getServiceById(api.hap.Service.OccupancySensor, 'held2');
+    const contact = device.accessory.getServiceById(api.hap.Service.ContactSensor, 'held3');
+    assert.strictEqual(occupancy.displayName, 'Button 2 Held');
+    assert.strictEqual(occupancy.getCharacteristic(OccupancyDetected).value, 0);
+
+    sim.keyDown(2);
+    sim.keyDown(3);
+    await waitFor(() => occupancy.getCharacteristic(OccupancyDetected).value === 1 && contact.getCharacteristic(ContactSensorState).value === 1);
+    sim.keyUp(2);
+    await waitFor(() => occupancy.getCharacteristic(OccupancyDetected).value === 0);
+    assert.strictEqual(contact.getCharacteristic(ContactSensorState).value, 1);
+
+    // a key-up lost with the connection doesn't leave the sensor stuck
+    sim.dropClients();
+    await waitFor(() => contact.getCharacteristic(ContactSensorState).value === 0);
+  });
+
+  it('runs two keypads side by side with their own presses and LED', async () => {
+    const hall = new IPortSimulator({ led: '255000000' });
+    const porch = new IPortSimulator({ led: '000000255' });
+    await Promise.all([hall.listen(), porch.listen()]);
+    const { platform, api } = createPlatform({
+      reconnectDelay: 50,
+      doublePressWindow: 0,
+      longPressThreshold: 0,
+      devices: [
+        { name: 'Hall', ip: '127.0.0.1', port: hall.port },
+        { name: 'Porch', ip: '127.0.0.1', port: porch.port }
+      ]
+    });
+    try {
+      const [first, second] = platform.devices;
+      await waitFor(() => first.connected && second.connected);
+      api.emit('didFinishLaunching');
+      assert.strictEqual(api.registered.length, 2);
+      await waitFor(() => first.getCurrentMode() === 'red' && second.getCurrentMode() === 'blue');
+      const presses = [];
+      platform.devices.forEach(device => device.on('press', event => presses.push([device.id, event.button])));
+
+      await hall.press(3);
+      await porch.press(5);
+      await waitFor(() => presses.length === 2);
+      assert.deepStrictEqual(presses, [['hall', 3], ['porch', 5]]);
+
+      // the mode button moves only its own keypad's mode
+      await porch.press(10);
+      await waitFor(() => second.getCurrentMode() === 'yellow' && porch.led === '255255000');
+      assert.strictEqual(first.getCurrentMode(), 'red');
+      assert.strictEqual(hall.led, '255000000');
+      assert.ok(!hall.commands.some(cmd => /^led=\d{9}$/.test(cmd)));
+    } finally {
+      api.emit('shutdown');
+      await Promise.all([hall.close(), porch.close()]);
+    }
+  });
+
+  it('skips devices whose names give the same id', async () => {
+    const { sim } = await start();
+    const { platform, api, log } = createPlatform({
+      devices: [
+        { name: 'Hall Keypad', ip: '127.0.0.1', port: sim.port },
+        { name: 'hall-keypad', ip: '127.0.0.1', port: sim.port },
+        { name: 'Porch', ip: '127.0.0.1', port: sim.port }
+      ]
+    });
+    try {
+      assert.deepStrictEqual(platform.devices.map(d => d.id), ['hall-keypad', 'porch']);
+      assert.ok(log.lines.includes('Device name "hall-keypad" (devices[1]) gives the same id "hall-keypad" as an earlier device, skipping it'));
+    } finally {
+      api.emit('shutdown');
+    }
+  });
+
+  it('keeps secrets out of the logged config', async () => {
+    const { log } = await start({
+      mqtt: { username: 'keypad', password: 'mqtt-secret' },
+      httpApi: { token: 'api-secret' },
+      hap: { pin: '031-45-154' },
+      buttonMappings: [
+        { pressType: 'code', code: '2468', modeColor: 'any', actionType: 'webhook', webhook: { url: 'http://127.0.0.1:1/', headers: { Authorization: 'Bearer hook-secret' } } }
+      ]
+    });
+    const config = log.lines.find(line => String(line).startsWith('Config loaded'));
+    ['mqtt-secret', 'api-secret', '031-45-154', '2468', 'hook-secret'].forEach(secret => assert.ok(!config.includes(secret), secret));
+    assert.ok(config.includes('"username":"keypad"'));
+  });
+
+  it('migrates legacy fields and ignores mappings that can never fire', async () => {
+    const { sim, device, log } = await start({
+      pollInterval: 'often',
+      buttonMappings: [
+        { buttonNumber: '1', modeColor: 'Any', actionType: 'led', targetName: 'Red', action: 'on' },
+        { buttonNumber: 2, modeColor: 'any', actionType: 'led', action: 'on' },
+        { buttonNumber: 2, modeColor: 'any', actionType: 'accessory', targetName: 'Fan', action: 'toggle' },
+        { buttonNumber: 3, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'on' },
+        { buttonNumber: 3, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'off' },
+        { buttonNumber: 10, modeColor: 'any', actionType: 'accessory', targetName: 'Lamp', action: 'toggle' }
+      ]
+    }, { led: '000000255' });
+    assert.ok(log.lines.some(line => /Config is from version 0/.test(line)));
+    assert.ok(log.lines.includes('pollInterval "often" is not a number of at least 1, using the default'));
+    assert.strictEqual(device.pollInterval, 5000);
+    assert.ok(log.lines.includes('Mapping 2 led action needs a ledColor'));
+    assert.ok(log.lines.some(line => /^Mapping 5 never runs: mapping 4 handles the same press/.test(line)));
+    assert.ok(log.lines.some(line => /^Mapping 6 button 10 is the mode button/.test(line)));
+    // switch keys stay as they were, so HomeKit automations on them survive the migration
+    assert.deepStrictEqual(Object.keys(device.mappingSwitches), ['btn1-Any-on-Red', 'btn2-any-toggle-Fan', 'btn3-any-on-Lamp']);
+    assert.strictEqual(device.buttonMappings[0].ledColor, 'red');
+
+    // button 2 falls through to the mapping that can fire
+    const fan = record(device.mappingSwitches['btn2-any-toggle-Fan'], ctx.api.hap.Characteristic.On);
+    await sim.press(2);
+    await waitFor(() => fan.length === 2);
+  });
+});
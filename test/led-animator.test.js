@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LedAnimator = require('../lib/led-animator');
+
+const green = { r: 0, g: 255, b: 0 };
+const red = { r: 255, g: 0, b: 0 };
+
+function createAnimator(restore = red) {
+  const writes = [];
+  const animator = new LedAnimator((r, g, b) => writes.push([r, g, b]), () => restore);
+  return { animator, writes };
+}
+
+test('flash shows the color once, then restores the mode color', async () => {
+  const { animator, writes } = createAnimator();
+  const done = animator.play('flash', green);
+  assert.strictEqual(animator.active, true);
+  assert.strictEqual(await done, true);
+  assert.strictEqual(animator.active, false);
+  assert.deepStrictEqual(writes, [[0, 255, 0], [255, 0, 0]]);
+});
+
+test('blink alternates the color with off', async () => {
+  const { animator, writes } = createAnimator();
+  await animator.play('blink', green);
+  assert.deepStrictEqual(writes.slice(0, 2), [[0, 255, 0], [0, 0, 0]]);
+  assert.strictEqual(writes.length, 7);
+  assert.deepStrictEqual(writes[6], [255, 0, 0]);
+});
+
+test('pulse ramps brightness up and down', async () => {
+  const { animator, writes } = createAnimator();
+  await animator.play('pulse', green);
+  const levels = writes.slice(0, -1).map(w => w[1]);
+  assert.strictEqual(Math.max(...levels), 255);
+  assert.strictEqual(levels[0], levels[levels.length - 1]);
+  assert.ok(levels[0] < 255);
+});
+
+test('stop interrupts without restoring', async () => {
+  const { animator, writes } = createAnimator();
+  const done = animator.play('flash', green);
+  animator.stop();
+  assert.strictEqual(await done, false);
+  assert.deepStrictEqual(writes, [[0, 255, 0]]);
+});
+
+test('a new animation replaces the running one', async () => {
+  const { animator } = createAnimator();
+  const first = animator.play('flash', green);
+  const second = animator.play('flash', red);
+  assert.strictEqual(await first, false);
+  assert.strictEqual(await second, true);
+});
+
+test('unknown patterns do nothing', async () => {
+  const { animator, writes } = createAnimator();
+  assert.strictEqual(await animator.play('strobe', green), false);
+  assert.deepStrictEqual(writes, []);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MacroRunner = require('../lib/macro-runner');
+
+function createRunner(results = {}) {
+  const executed = [];
+  const runner = new MacroRunner((step) => {
+    executed.push(step.name);
+    return results[step.name] !== undefined ? results[step.name] : true;
+  });
+  return { runner, executed };
+}
+
+test('runs steps in order, waiting between them', async () => {
+  const { runner, executed } = createRunner();
+  const start = Date.now();
+  const ok = await runner.run(1, [{ name: 'a' }, { type: 'wait', delay: 40 }, { name: 'b' }]);
+  assert.strictEqual(ok, true);
+  assert.deepStrictEqual(executed, ['a', 'b']);
+  assert.ok(Date.now() - start >= 35);
+  assert.strictEqual(runner.isRunning(1), false);
+});
+
+test('reports failure but keeps going when a step fails', async () => {
+  const { runner, executed } = createRunner({ a: false });
+  assert.strictEqual(await runner.run(1, [{ name: 'a' }, { name: 'b' }]), false);
+  assert.deepStrictEqual(executed, ['a', 'b']);
+});
+
+test('treats a throwing step as failed', async () => {
+  const runner = new MacroRunner(() => { throw new Error('boom'); });
+  assert.strictEqual(await runner.run(1, [{ name: 'a' }]), false);
+});
+
+test('cancel stops a run during a wait', async () => {
+  const { runner, executed } = createRunner();
+  const done = runner.run(1, [{ name: 'a' }, { type: 'wait', delay: 5000 }, { name: 'b' }]);
+  assert.strictEqual(runner.isRunning(1), true);
+  assert.strictEqual(runner.cancel(1), true);
+  assert.strictEqual(await done, false);
+  assert.deepStrictEqual(executed, ['a']);
+  assert.strictEqual(runner.cancel(1), false);
+});
+
+test('runs under different keys are independent', async () => {
+  const { runner, executed } = createRunner();
+  const first = runner.run(1, [{ type: 'wait', delay: 5000 }, { name: 'a' }]);
+  const second = runner.run(2, [{ name: 'b' }]);
+  assert.strictEqual(await second, true);
+  runner.cancelAll();
+  assert.strictEqual(await first, false);
+  assert.deepStrictEqual(executed, ['b']);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateConfig, CONFIG_VERSION } = require('../lib/migrations');
+
+test('brings a hand-written config up to date without touching the original', () => {
+  const original = {
+    port: '10001',
+    httpApi: { port: '8585' },
+    buttonMappings: [
+      { buttonNumber: '3', modeColor: 'Red', actionType: 'Accessory', targetName: 'Lamp', action: 'toggle' },
+      { buttonNumber: 4, modeColor: 'any', actionType: 'led', targetName: 'Blue', action: 'on' },
+      { pressType: 'Chord', buttons: ['1', 2], modeColor: 'any', actionType: 'macro', steps: [{ type: 'Wait', delay: '200' }] }
+    ]
+  };
+  const snapshot = JSON.stringify(original);
+  const { config, notes, from } = migrateConfig(original);
+
+  assert.strictEqual(JSON.stringify(original), snapshot);
+  assert.strictEqual(from, 0);
+  assert.strictEqual(config.configVersion, CONFIG_VERSION);
+  assert.strictEqual(config.port, 10001);
+  assert.strictEqual(config.httpApi.port, 8585);
+  assert.deepStrictEqual(config.buttonMappings[0], { buttonNumber: 3, modeColor: 'Red', actionType: 'accessory', targetName: 'Lamp', action: 'toggle' });
+  assert.deepStrictEqual(config.buttonMappings[1], { buttonNumber: 4, modeColor: 'any', actionType: 'led', targetName: 'Blue', action: 'on', ledColor: 'blue' });
+  assert.deepStrictEqual(config.buttonMappings[2].buttons, [1, 2]);
+  assert.deepStrictEqual(config.buttonMappings[2].steps, [{ type: 'wait', delay: 200 }]);
+  assert.ok(notes.includes('Mapping 1 buttonNumber is the number 3 (v1: numbers typed as text)'));
+  assert.ok(notes.includes('Mapping 2 ledColor is "blue" (from its targetName) (v3: LED color in targetName)'));
+});
+
+test('names device mappings after their device', () => {
+  const { config, notes } = migrateConfig({
+    devices: [{ name: 'Hall', reconnectDelay: '500', buttonMappings: [{ buttonNumber: '1', modeColor: 'any' }] }]
+  });
+  assert.strictEqual(config.devices[0].reconnectDelay, 500);
+  assert.deepStrictEqual(notes, [
+    'Hall: reconnectDelay is the number 500 (v1: numbers typed as text)',
+    'Hall: Mapping 1 buttonNumber is the number 1 (v1: numbers typed as text)'
+  ]);
+});
+
+test('skips migrations a config has already been through', () => {
+  const { config, notes } = migrateConfig({
+    configVersion: 2,
+    buttonMappings: [{ buttonNumber: '1', modeColor: 'Red', actionType: 'led', targetName: 'green' }]
+  });
+  assert.deepStrictEqual(config.buttonMappings[0], { buttonNumber: '1', modeColor: 'Red', actionType: 'led', targetName: 'green', ledColor: 'green' });
+  assert.strictEqual(notes.length, 1);
+  assert.deepStrictEqual(migrateConfig(config).notes, []);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ModelProfile = require('../lib/model-profile');
+
+test('defaults to the 10-key keypad', () => {
+  const model = ModelProfile.fromConfig({});
+  assert.strictEqual(model.name, '10-key');
+  assert.strictEqual(model.buttons, 10);
+  assert.strictEqual(model.modeButton, 10);
+  assert.strictEqual(model.keyIndex('Key 3'), 2);
+  assert.strictEqual(model.keyIndex('key10'), 9);
+  assert.strictEqual(model.keyIndex('Key 11'), -1);
+  assert.strictEqual(model.keyIndex('Scene 1'), -1);
+  assert.strictEqual(model.ledCommand(255, 0, 128), 'led=255000128');
+  assert.strictEqual(model.ledQuery, 'led=?');
+  assert.deepStrictEqual(model.warnings, []);
+});
+
+test('knows the smaller keypads', () => {
+  const model = ModelProfile.fromConfig({ model: '6-key' });
+  assert.strictEqual(model.buttons, 6);
+  assert.strictEqual(model.modeButton, 6);
+  assert.strictEqual(model.keyIndex('Key 7'), -1);
+  assert.strictEqual(ModelProfile.fromConfig({ model: '2-key' }).modeButton, 0);
+});
+
+test('builds a custom profile on top of the defaults', () => {
+  const model = ModelProfile.fromConfig({
+    model: 'custom',
+    customModel: { buttons: 12, labelPattern: '^btn_(\\d+)$', firstKey: 0, modeButton: 0, ledSet: 'color {r},{g},{b} #{hex}' }
+  });
+  assert.strictEqual(model.buttons, 12);
+  assert.strictEqual(model.keyIndex('BTN_0'), 0);
+  assert.strictEqual(model.keyIndex('btn_11'), 11);
+  assert.strictEqual(model.keyIndex('btn_12'), -1);
+  assert.strictEqual(model.modeButton, 0);
+  assert.strictEqual(model.ledCommand(255, 8, 0), 'color 255,8,0 #FF0800');
+  assert.strictEqual(model.ledQuery, 'led=?');
+});
+
+test('falls back field by field on bad values', () => {
+  const model = ModelProfile.fromConfig({ model: 'custom', customModel: { buttons: 0, labelPattern: '(', modeButton: 12 } });
+  assert.strictEqual(model.buttons, 10);
+  assert.strictEqual(model.keyIndex('Key 1'), 0);
+  assert.strictEqual(model.modeButton, 0);
+  assert.strictEqual(model.warnings.length, 3);
+
+  const unknown = ModelProfile.fromConfig({ model: 'sm-99' });
+  assert.strictEqual(unknown.name, '10-key');
+  assert.match(unknown.warnings[0], /Unknown model "sm-99"/);
+});
+
+test('reads LED replies in the form the LED command uses', () => {
+  const model = ModelProfile.fromConfig({});
+  assert.strictEqual(model.ledReply, 'rgb');
+  assert.deepStrictEqual(model.parseLed('255000128'), { r: 255, g: 0, b: 128 });
+  assert.deepStrictEqual(model.parseLed('255'), { r: 0, g: 0, b: 255 });
+  assert.strictEqual(model.parseLed('FF8800'), null);
+  assert.strictEqual(model.parseLed('999000000'), null);
+
+  const hex = ModelProfile.fromConfig({ model: 'custom', customModel: { ledSet: 'led={hex}' } });
+  assert.strictEqual(hex.ledReply, 'hex');
+  assert.deepStrictEqual(hex.parseLed('FF8800'), { r: 255, g: 136, b: 0 });
+  assert.deepStrictEqual(hex.parseLed('#ff8800'), { r: 255, g: 136, b: 0 });
+  assert.strictEqual(hex.parseLed('255000000'), null);
+
+  const list = ModelProfile.fromConfig({ model: 'custom', customModel: { ledSet: 'color {r},{g},{b}' } });
+  assert.deepStrictEqual(list.parseLed('255, 8,0'), { r: 255, g: 8, b: 0 });
+  assert.strictEqual(list.parseLed('256,0,0'), null);
+
+  const odd = ModelProfile.fromConfig({ model: 'custom', customModel: { ledSet: 'led={hex}', ledReply: 'rgb' } });
+  assert.strictEqual(odd.ledReply, 'rgb');
+  const bad = ModelProfile.fromConfig({ model: 'custom', customModel: { ledReply: 'hsv' } });
+  assert.strictEqual(bad.ledReply, 'rgb');
+  assert.match(bad.warnings[0], /Model ledReply "hsv" is not one of rgb, hex, list/);
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const mqtt = require('mqtt');
+const aedes = require('aedes');
+const IPortSimulator = require('../tools/iport-simulator');
+const { createPlatform, waitFor } = require('./helpers/homebridge');
+
+describe('MQTT bridge against a local broker', () => {
+  let broker;
+  let server;
+  let url;
+  let sim;
+  let api;
+  let created;
+  let device;
+  let client;
+  const messages = [];
+
+  before(async () => {
+    broker = aedes();
+    server = net.createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    client = mqtt.connect(url);
+    await new Promise(resolve => client.on('connect', resolve));
+    client.on('message', (topic, payload) => messages.push({ topic, payload: payload.toString() }));
+    await new Promise(resolve => client.subscribe('iport/#', resolve));
+
+    sim = new IPortSimulator({ led: '255000000' });
+    await sim.listen();
+    created = createPlatform({
+      name: 'Hall Keypad',
+      ip: '127.0.0.1',
+      port: sim.port,
+      reconnectDelay: 50,
+      doublePressWindow: 0,
+      longPressThreshold: 0,
+      mqtt: { url, baseTopic: 'iport' }
+    });
+    api = created.api;
+    device = created.platform.devices[0];
+    await waitFor(() => device.connected);
+    api.emit('didFinishLaunching');
+  });
+
+  after(async () => {
+    api.emit('shutdown');
+    await created.platform.mqttBridge.stop();
+    client.end(true);
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const last = topic => messages.filter(m => m.topic === topic).pop();
+
+  it('publishes status, connection state and the LED color', async () => {
+    await waitFor(() => last('iport/status') && last('iport/status').payload === 'online');
+    await waitFor(() => last('iport/hall-keypad/connected') && last('iport/hall-keypad/connected').payload === 'true');
+    await waitFor(() => last('iport/hall-keypad/led') && JSON.parse(last('iport/hall-keypad/led').payload).mode === 'red');
+  });
+
+  it('publishes button presses with gesture and mode', async () => {
+    await sim.press(4);
+    await waitFor(() => last('iport/hall-keypad/button'));
+    const event = JSON.parse(last('iport/hall-keypad/button').payload);
+    assert.strictEqual(event.button, 4);
+    assert.strictEqual(event.pressType, 'single');
+    assert.strictEqual(event.mode, 'red');
+    assert.strictEqual(event.device, 'Hall Keypad');
+  });
+
+  it('sets the LED from led/set commands', async () => {
+    client.publish('iport/hall-keypad/led/set', '000255000');
+    await waitFor(() => sim.led === '000255000');
+    client.publish('iport/hall-keypad/led/set', '{"r":0,"g":0,"b":255}');
+    await waitFor(() => sim.led === '000000255');
+    client.publish('iport/hall-keypad/led/set', 'yellow');
+    await waitFor(() => sim.led === '255255000');
+    await waitFor(() => JSON.parse(last('iport/hall-keypad/led').payload).mode === 'yellow');
+  });
+
+  it('changes mode from mode/set commands', async () => {
+    client.publish('iport/hall-keypad/mode/set', 'purple');
+    await waitFor(() => sim.led === '128000128');
+    client.publish('iport/hall-keypad/mode/set', 'next');
+    await waitFor(() => sim.led === '255255255');
+  });
+
+  it('publishes the lost connection', async () => {
+    await sim.close();
+    await waitFor(() => last('iport/hall-keypad/connected').payload === 'false');
+  });
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ModePalette = require('../lib/palette');
+const { buildSchema } = require('../lib/dynamic-schema');
+
+test('defaults to the built-in modes and cycle order', () => {
+  const palette = ModePalette.fromConfig({});
+  assert.deepStrictEqual(palette.cycle, ['red', 'green', 'blue', 'yellow', 'purple', 'white']);
+  assert.deepStrictEqual(palette.get('purple'), { r: 128, g: 0, b: 128 });
+});
+
+test('matches exact, dimmed and slightly off readbacks', () => {
+  const palette = ModePalette.fromConfig({});
+  assert.strictEqual(palette.match({ r: 255, g: 0, b: 0 }), 'red');
+  assert.strictEqual(palette.match({ r: 100, g: 0, b: 0 }), 'red');
+  assert.strictEqual(palette.match({ r: 250, g: 12, b: 3 }), 'red');
+  assert.strictEqual(palette.match({ r: 128, g: 0, b: 128 }), 'purple');
+  assert.strictEqual(palette.match({ r: 64, g: 2, b: 60 }), 'purple');
+  assert.strictEqual(palette.match({ r: 0, g: 0, b: 0 }), 'off');
+});
+
+test('returns unknown when no mode is within tolerance', () => {
+  const palette = ModePalette.fromConfig({ modeColorTolerance: 10 });
+  assert.strictEqual(palette.match({ r: 255, g: 128, b: 0 }), 'unknown');
+  assert.strictEqual(palette.match({ r: 255, g: 5, b: 0 }), 'red');
+});
+
+test('builds a custom palette with cycle order and skipped modes', () => {
+  const palette = ModePalette.fromConfig({
+    modes: [
+      { name: 'Movie', red: 0, green: 0, blue: 255, cycleOrder: 2 },
+      { name: 'day', red: 255, green: 255, blue: 255, cycleOrder: 1 },
+      { name: 'alarm', red: 255, green: 0, blue: 0, skipInCycle: true }
+    ]
+  });
+  assert.deepStrictEqual(palette.names(), ['movie', 'day', 'alarm']);
+  assert.deepStrictEqual(palette.cycle, ['day', 'movie']);
+  assert.strictEqual(palette.match({ r: 200, g: 0, b: 0 }), 'alarm');
+  assert.strictEqual(palette.match({ r: 255, g: 0, b: 0 }), 'alarm');
+});
+
+test('steps forwards and backwards through the cycle', () => {
+  const palette = ModePalette.fromConfig({});
+  assert.strictEqual(palette.next('red'), 'green');
+  assert.strictEqual(palette.next('white'), 'red');
+  assert.strictEqual(palette.next('red', -1), 'white');
+  assert.strictEqual(palette.next('unknown'), 'red');
+});
+
+test('skips modes with reserved, duplicate or missing names', () => {
+  const palette = new ModePalette([
+    { name: 'any', red: 1, green: 1, blue: 1 },
+    { name: 'red', red: 255, green: 0, blue: 0 },
+    { name: 'RED', red: 200, green: 0, blue: 0 },
+    { red: 0, green: 0, blue: 0 }
+  ]);
+  assert.deepStrictEqual(palette.names(), ['red']);
+  assert.strictEqual(palette.warnings.length, 3);
+});
+
+test('warns about modes that only differ in brightness', () => {
+  const palette = new ModePalette([
+    { name: 'red', red: 255, green: 0, blue: 0 },
+    { name: 'dim red', red: 128, green: 0, blue: 0 },
+    { name: 'purple', red: 128, green: 0, blue: 128 }
+  ]);
+  assert.deepStrictEqual(palette.names(), ['red', 'dim red', 'purple']);
+  assert.deepStrictEqual(palette.warnings, ['modes[1] "dim red" is the color of mode "red" at another brightness, the keypad\'s LED will always read back as "red"']);
+  assert.strictEqual(palette.match({ r: 128, g: 0, b: 0 }), 'red');
+  assert.deepStrictEqual(ModePalette.fromConfig({}).warnings, []);
+});
+
+test('generated config schema offers the palette names', () => {
+  const schema = buildSchema(['day', 'night']);
+  const mapping = schema.schema.definitions.buttonMapping.properties;
+  assert.deepStrictEqual(mapping.modeColor.enum, ['day', 'night', 'any']);
+  assert.deepStrictEqual(mapping.ledColor.enum, ['day', 'night']);
+  assert.deepStrictEqual(mapping.targetMode.enum, ['day', 'night']);
+  assert.deepStrictEqual(schema.schema.properties.defaultMode.enum, ['day', 'night']);
+  assert.strictEqual(mapping.buttonNumber.maximum, 32);
+  assert.strictEqual(buildSchema(['day'], 6).schema.definitions.buttonMapping.properties.buttonNumber.maximum, 6);
+});
@@ -0,0 +1,90 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PressHistory = require('../lib/press-history');
+const { createLog } = require('./helpers/homebridge');
+
+const dirs = [];
+afterEach(() => dirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function storage() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iport-history-'));
+  dirs.push(dir);
+  return dir;
+}
+
+function press(button, outcome = 'ok', extra = {}) {
+  return Object.assign({
+    device: 'hall',
+    button,
+    pressType: 'single',
+    mode: 'red',
+    mapping: outcome === 'ok' || outcome === 'failed'
+      ? { number: button, key: `btn${button}-any-on-Lamp`, trigger: `B${button}`, actionType: 'accessory', action: 'on', targetName: 'Lamp' }
+      : null,
+    outcome
+  }, extra);
+}
+
+test('keeps presses across restarts and rotates full files', () => {
+  const dir = storage();
+  const history = new PressHistory(dir, createLog(), { maxEntries: 2, files: 2 });
+  [1, 2, 3].forEach(n => history.record(press(n)));
+  history.save();
+  history.record(press(4));
+  history.record(press(5));
+  history.flush();
+
+  // file 0 holds 5, file 1 holds 3 and 4; 1 and 2 went with the oldest file
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(f => f.endsWith('.jsonl')).sort(),
+    ['iport-sm-buttons-history.1.jsonl', 'iport-sm-buttons-history.jsonl']);
+  const reopened = new PressHistory(dir, createLog(), { maxEntries: 2, files: 2 });
+  assert.deepStrictEqual(reopened.getEntries().map(e => e.button), [3, 4, 5]);
+  assert.deepStrictEqual(reopened.getEntries({ limit: 1 }).map(e => e.button), [5]);
+  reopened.record(press(6));
+  reopened.record(press(7));
+  reopened.flush();
+  assert.deepStrictEqual(reopened.getEntries().map(e => e.button), [5, 6, 7]);
+});
+
+test('counts presses per button and mapping, beyond what the files keep', () => {
+  const dir = storage();
+  const history = new PressHistory(dir, createLog(), { maxEntries: 1, files: 1 });
+  history.record(press(3));
+  history.record(press(3, 'failed', { pressType: 'double' }));
+  history.record(press(4, 'unmapped'));
+  history.record(press(null, 'ok', { pressType: 'chord', buttons: [1, 2] }));
+  history.record(press(null, 'skipped', { pressType: 'code' }));
+  history.flush();
+
+  const stats = new PressHistory(dir, createLog()).getStats('hall');
+  assert.deepStrictEqual(
+    Object.keys(stats.buttons).map(button => [button, stats.buttons[button].single, stats.buttons[button].double, stats.buttons[button].total]),
+    [['3', 1, 1, 2], ['4', 1, undefined, 1]]
+  );
+  assert.deepStrictEqual(Object.keys(stats.combos), ['chord 1+2', 'code']);
+  assert.deepStrictEqual(stats.mappings['btn3-any-on-Lamp'], Object.assign({ number: 3, trigger: 'B3', runs: 2, ok: 1, failed: 1 }, { lastAt: stats.mappings['btn3-any-on-Lamp'].lastAt }));
+  assert.deepStrictEqual(new PressHistory(dir, createLog()).getStats('nope').buttons, {});
+});
+
+test('filters by device and time and exports CSV', () => {
+  const history = new PressHistory(storage(), createLog());
+  history.record(press(1, 'ok', { time: '2024-06-01T08:00:00.000Z' }));
+  history.record(press(2, 'unmapped', { time: '2024-06-02T08:00:00.000Z', device: 'porch' }));
+  history.record(press(null, 'failed', {
+    time: '2024-06-03T08:00:00.000Z',
+    pressType: 'chord',
+    buttons: [1, 2],
+    mapping: { number: 4, key: 'chord-1.2-any-on-Hall', trigger: 'Chord 1+2', actionType: 'scene', action: 'on', targetName: 'Hall, "all"' }
+  }));
+  history.flush();
+
+  assert.deepStrictEqual(history.getEntries({ device: 'hall', since: '2024-06-02' }).map(e => e.time), ['2024-06-03T08:00:00.000Z']);
+  const csv = PressHistory.toCsv(history.getEntries({ device: 'hall' })).split('\r\n');
+  assert.strictEqual(csv[0], 'time,device,button,pressType,mode,mapping,trigger,actionType,action,targetName,outcome');
+  assert.strictEqual(csv[1], '2024-06-01T08:00:00.000Z,hall,1,single,red,1,B1,accessory,on,Lamp,ok');
+  assert.strictEqual(csv[2], '2024-06-03T08:00:00.000Z,hall,1+2,chord,red,4,Chord 1+2,scene,on,"Hall, ""all""",failed');
+  assert.strictEqual(csv[3], '');
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SequenceTracker = require('../lib/sequence-tracker');
+const { delay } = require('./helpers/homebridge');
+
+function createTracker(sequences, timeout = 50) {
+  const matched = [];
+  const pressed = [];
+  const tracker = new SequenceTracker({
+    timeout,
+    getSequences: () => sequences.map(buttons => ({ buttons, mapping: buttons.join('-') })),
+    onMatch: mapping => matched.push(mapping),
+    onPress: button => pressed.push(button)
+  });
+  return { tracker, matched, pressed };
+}
+
+test('passes presses straight through when no sequence can start with them', () => {
+  const { tracker, matched, pressed } = createTracker([[1, 3]]);
+  tracker.press(2);
+  tracker.press(3);
+  assert.deepStrictEqual(pressed, [2, 3]);
+  assert.deepStrictEqual(matched, []);
+  assert.strictEqual(tracker.pending, 0);
+});
+
+test('swallows the presses of a completed sequence', () => {
+  const { tracker, matched, pressed } = createTracker([[1, 3]]);
+  tracker.press(1);
+  assert.strictEqual(tracker.pending, 1);
+  tracker.press(3);
+  assert.deepStrictEqual(matched, ['1-3']);
+  assert.deepStrictEqual(pressed, []);
+});
+
+test('releases held presses in order when the sequence breaks off', () => {
+  const { tracker, matched, pressed } = createTracker([[1, 2, 3]]);
+  tracker.press(1);
+  tracker.press(2);
+  tracker.press(4);
+  assert.deepStrictEqual(pressed, [1, 2, 4]);
+  assert.deepStrictEqual(matched, []);
+});
+
+test('restarts the match on a later press that begins a sequence', () => {
+  const { tracker, matched, pressed } = createTracker([[1, 3]]);
+  tracker.press(1);
+  tracker.press(1);
+  tracker.press(3);
+  assert.deepStrictEqual(pressed, [1]);
+  assert.deepStrictEqual(matched, ['1-3']);
+});
+
+test('releases held presses after the timeout', async () => {
+  const { tracker, pressed } = createTracker([[1, 3]], 30);
+  tracker.press(1);
+  await delay(60);
+  assert.deepStrictEqual(pressed, [1]);
+  assert.strictEqual(tracker.pending, 0);
+});
+
+test('waits for a longer sequence before running a shorter one', async () => {
+  const { tracker, matched } = createTracker([[1, 2], [1, 2, 3]], 30);
+  tracker.press(1);
+  tracker.press(2);
+  assert.deepStrictEqual(matched, []);
+  tracker.press(3);
+  assert.deepStrictEqual(matched, ['1-2-3']);
+
+  tracker.press(1);
+  tracker.press(2);
+  await delay(60);
+  assert.deepStrictEqual(matched, ['1-2-3', '1-2']);
+});
+
+test('reset drops held presses without running them', async () => {
+  const { tracker, matched, pressed } = createTracker([[1, 3]], 30);
+  tracker.press(1);
+  tracker.reset();
+  await delay(60);
+  assert.deepStrictEqual(pressed, []);
+  assert.deepStrictEqual(matched, []);
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { callWebhook, renderTemplate, buildRequest } = require('../lib/webhook');
+
+const vars = { button: 3, pressType: 'double', mode: 'red', device: 'Hall Keypad', timestamp: 'now' };
+let server;
+let base;
+let requests = [];
+let respond = (req, res) => res.end('ok');
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      respond(req, res, requests.length);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function reset(handler) {
+  requests = [];
+  respond = handler || ((req, res) => res.end('ok'));
+}
+
+test('renders placeholders and leaves unknown ones alone', () => {
+  assert.strictEqual(renderTemplate('b{{button}} {{ mode }} {{nope}}', vars), 'b3 red {{nope}}');
+  assert.strictEqual(renderTemplate('{{device}}', vars, encodeURIComponent), 'Hall%20Keypad');
+});
+
+test('builds the request with templated url, headers and a JSON body', () => {
+  const request = buildRequest({
+    url: 'http://host/k?d={{device}}',
+    headers: [{ name: 'X-Mode', value: '{{mode}}' }],
+    body: '{"button": {{button}}}'
+  }, vars);
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.url.search, '?d=Hall%20Keypad');
+  assert.strictEqual(request.headers['X-Mode'], 'red');
+  assert.strictEqual(request.headers['Content-Type'], 'application/json');
+  assert.strictEqual(request.body, '{"button": 3}');
+});
+
+test('escapes placeholder values inside a JSON body', () => {
+  const quoted = Object.assign({}, vars, { device: 'Hall "Main" \\ Keypad' });
+  const json = buildRequest({ url: 'http://host/', body: '{"device": "{{device}}", "button": {{button}}}' }, quoted);
+  assert.deepStrictEqual(JSON.parse(json.body), { device: 'Hall "Main" \\ Keypad', button: 3 });
+
+  const typed = buildRequest({ url: 'http://host/', headers: { 'content-type': 'application/vnd.api+json' }, body: 'device={{device}}' }, quoted);
+  assert.strictEqual(typed.body, 'device=Hall \\"Main\\" \\\\ Keypad');
+  const text = buildRequest({ url: 'http://host/', body: 'device={{device}}' }, quoted);
+  assert.strictEqual(text.body, 'device=Hall "Main" \\ Keypad');
+});
+
+test('sends the request and reports success', async () => {
+  reset();
+  const result = await callWebhook({ url: `${base}/press/{{button}}`, method: 'put', body: '{{pressType}}' }, vars);
+  assert.deepStrictEqual(result, { ok: true, status: 200, attempts: 1 });
+  assert.strictEqual(requests[0].method, 'PUT');
+  assert.strictEqual(requests[0].url, '/press/3');
+  assert.strictEqual(requests[0].body, 'double');
+  assert.strictEqual(requests[0].headers['content-type'], 'text/plain');
+});
+
+test('does not send a body with GET', async () => {
+  reset();
+  await callWebhook({ url: base, method: 'GET', body: 'ignored' }, vars);
+  assert.strictEqual(requests[0].body, '');
+});
+
+test('retries failed responses until one succeeds', async () => {
+  reset((req, res, count) => {
+    res.statusCode = count < 2 ? 500 : 200;
+    res.end();
+  });
+  const result = await callWebhook({ url: base, retries: 2 }, vars);
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.attempts, 2);
+});
+
+test('applies the success check to status and body', async () => {
+  reset((req, res) => {
+    res.statusCode = 202;
+    res.end('{"result":"queued"}');
+  });
+  assert.strictEqual((await callWebhook({ url: base, successStatus: [200] }, vars)).ok, false);
+  assert.strictEqual((await callWebhook({ url: base, successBodyContains: 'done' }, vars)).ok, false);
+  assert.strictEqual((await callWebhook({ url: base, successStatus: [202], successBodyContains: 'queued' }, vars)).ok, true);
+});
+
+test('gives up after the timeout', async () => {
+  reset((req, res) => setTimeout(() => res.end(), 300));
+  const result = await callWebhook({ url: base, timeout: 50 }, vars);
+  assert.strictEqual(result.ok, false);
+  assert.match(result.error, /timed out/);
+});
+
+test('fails cleanly without a usable url', async () => {
+  assert.strictEqual((await callWebhook({}, vars)).ok, false);
+  assert.match((await callWebhook({ url: 'not a url' }, vars)).error, /invalid url/);
+});
@@ -0,0 +1,159 @@
+// Fake iPort SM keypad speaking the same TCP protocol the plugin uses:
+//   - "led=?"          -> replies "led=RRRGGGBBB"
+//   - "led=RRRGGGBBB"  -> sets the LED
+//   - key presses      -> JSON {"events":[{"label":"Key N","state":"1"|"0"}]}
+//                         (the label can be changed to mimic other firmware)
+//
+// Used by the integration tests, and runnable on its own so a real Homebridge
+// can be pointed at it: `node tools/iport-simulator.js [port]`, then type
+// commands such as "press 3", "double 3", "long 3" or "led 255000000".
+
+const net = require('net');
+const EventEmitter = require('events');
+
+class IPortSimulator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.led = options.led || '255255255';
+    this.ledReplyFormat = options.ledReplyFormat || 'text'; // 'text', 'json' or 'hex' (led=RRGGBB, also taken as a command)
+    this.keyLabel = options.keyLabel || (button => `Key ${button}`);
+    this.clients = new Set();
+    this.commands = []; // every command received, in order
+    this.silent = false; // when true, commands are recorded but never answered (half-open link)
+    this.server = net.createServer(socket => this.handleConnection(socket));
+  }
+
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.port);
+      });
+    });
+  }
+
+  get port() {
+    const address = this.server.address();
+    return address ? address.port : null;
+  }
+
+  close() {
+    this.dropClients();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  handleConnection(socket) {
+    this.clients.add(socket);
+    let buffer = '';
+    socket.on('data', (data) => {
+      buffer += data.toString();
+      const parts = buffer.split(/[\r\n]/);
+      buffer = parts.pop();
+      parts.map(p => p.trim()).filter(Boolean).forEach(cmd => this.handleCommand(socket, cmd));
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.clients.delete(socket);
+      this.emit('disconnect', socket);
+    });
+    this.emit('connection', socket);
+  }
+
+  handleCommand(socket, cmd) {
+    this.commands.push(cmd);
+    this.emit('command', cmd);
+    if (this.silent) return;
+
+    if (cmd === 'led=?') {
+      if (this.ledReplyFormat === 'json') socket.write(`${JSON.stringify({ led: this.led })}\r\n`);
+      else if (this.ledReplyFormat === 'hex') socket.write(`led=${this.ledHex()}\r\n`);
+      else socket.write(`led=${this.led}\r\n`);
+    } else if (/^led=\d{9}$/.test(cmd)) {
+      this.led = cmd.slice(4);
+      this.emit('led', this.led);
+    } else if (this.ledReplyFormat === 'hex' && /^led=[0-9a-f]{6}$/i.test(cmd)) {
+      this.setLed(...[4, 6, 8].map(i => parseInt(cmd.slice(i, i + 2), 16)));
+      this.emit('led', this.led);
+    }
+  }
+
+  ledHex() {
+    return [0, 3, 6].map(i => Number(this.led.slice(i, i + 3)).toString(16).padStart(2, '0').toUpperCase()).join('');
+  }
+
+  // -------------------------
+  // Device-side actions
+  // -------------------------
+  send(raw) {
+    this.clients.forEach(socket => socket.write(raw));
+  }
+
+  sendEvent(button, state) {
+    this.send(`${JSON.stringify({ events: [{ label: this.keyLabel(button), state: String(state) }] })}\r\n`);
+  }
+
+  keyDown(button) {
+    this.sendEvent(button, 1);
+  }
+
+  keyUp(button) {
+    this.sendEvent(button, 0);
+  }
+
+  async press(button, holdMs = 20) {
+    this.keyDown(button);
+    await delay(holdMs);
+    this.keyUp(button);
+  }
+
+  async doublePress(button, gapMs = 40) {
+    await this.press(button);
+    await delay(gapMs);
+    await this.press(button);
+  }
+
+  // change the LED from the device side (e.g. another controller); picked up on the next poll
+  setLed(r, g, b) {
+    this.led = [r, g, b].map(v => String(v).padStart(3, '0')).join('');
+  }
+
+  dropClients() {
+    this.clients.forEach(socket => socket.destroy());
+    this.clients.clear();
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = IPortSimulator;
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 10001;
+  const sim = new IPortSimulator();
+  sim.on('connection', socket => console.log(`client connected from ${socket.remoteAddress}`));
+  sim.on('disconnect', () => console.log('client disconnected'));
+  sim.on('command', cmd => { if (cmd !== 'led=?') console.log(`<- ${cmd}`); });
+
+  sim.listen(port, '0.0.0.0').then(() => {
+    console.log(`iPort simulator listening on port ${sim.port}`);
+    console.log('commands: press N | double N | long N | down N | up N | led RRRGGGBBB | drop');
+  });
+
+  require('readline').createInterface({ input: process.stdin }).on('line', (line) => {
+    const [cmd, arg] = line.trim().split(/\s+/);
+    const n = parseInt(arg, 10);
+    switch (cmd) {
+      case 'press': sim.press(n); break;
+      case 'double': sim.doublePress(n); break;
+      case 'long': sim.press(n, 1500); break;
+      case 'down': sim.keyDown(n); break;
+      case 'up': sim.keyUp(n); break;
+      case 'led': sim.led = arg; break;
+      case 'drop': sim.dropClients(); break;
+      default: if (cmd) console.log(`unknown command: ${cmd}`);
+    }
+  });
+}
@@ -0,0 +1,47 @@
+// Reads the press history the plugin keeps in the Homebridge storage folder,
+// without needing Homebridge (or its HTTP API) to run:
+//
+//   node tools/press-history.js [options] [storage path, default ~/.homebridge]
+//     --csv              CSV instead of JSON
+//     --stats            the counters per button and mapping instead of presses
+//     --device <id>      one keypad only
+//     --since <time>     presses from this date/time on
+//     --limit <n>        the most recent n presses
+//
+// e.g. `node tools/press-history.js --csv --since 2024-06-01 > presses.csv`
+
+const os = require('os');
+const path = require('path');
+const PressHistory = require('../lib/press-history');
+
+function parseArgs(argv) {
+  const options = { storagePath: path.join(os.homedir(), '.homebridge') };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--csv') options.csv = true;
+    else if (arg === '--stats') options.stats = true;
+    else if (['--device', '--since', '--limit'].includes(arg)) options[arg.slice(2)] = argv[++i];
+    else if (arg.startsWith('--')) throw new Error(`unknown option ${arg}`);
+    else options.storagePath = arg;
+  }
+  if (options.since && Number.isNaN(Date.parse(options.since))) throw new Error(`--since ${options.since} is not a date/time`);
+  return options;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  const log = Object.assign(msg => console.error(msg), { warn: msg => console.error(msg) });
+  const history = new PressHistory(options.storagePath, log);
+  if (options.stats) {
+    console.log(JSON.stringify(history.getStats(options.device), null, 2));
+  } else {
+    const entries = history.getEntries({ device: options.device, since: options.since, limit: parseInt(options.limit, 10) || 0 });
+    process.stdout.write(options.csv ? PressHistory.toCsv(entries) : `${JSON.stringify(entries, null, 2)}\n`);
+  }
+}